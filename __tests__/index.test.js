@@ -1,4 +1,7 @@
 import { jest } from '@jest/globals';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
 
 // Mock @actions/core before importing the module
 const mockCore = {
@@ -7,6 +10,7 @@ const mockCore = {
   error: jest.fn(),
   setOutput: jest.fn(),
   getInput: jest.fn().mockReturnValue(''),
+  getBooleanInput: jest.fn().mockReturnValue(false),
   setFailed: jest.fn(),
   warning: jest.fn()
 };
@@ -24,6 +28,63 @@ const {
   validateRequiredInput,
   createGraphqlClient,
   initializeConfig,
+  replaceBetweenMarkers,
+  updateReadme,
+  parseRepository,
+  toRepositoryPath,
+  commitFiles,
+  writeFiles,
+  measureText,
+  toSvgColor,
+  renderSvgBadge,
+  slugify,
+  renderBadges,
+  collectBadges,
+  parseList,
+  parseMetrics,
+  createMetricContext,
+  METRIC_PROVIDERS,
+  getIssuesCount,
+  processIssuesInBatches,
+  processInBatches,
+  matchesPattern,
+  matchesAnyPattern,
+  getAuthorLogin,
+  getStarsGainedCount,
+  aggregateLanguages,
+  filterRepositories,
+  getSearchCount,
+  countSearchResults,
+  getPullRequestSearchCounts,
+  getSearchFallbackReason,
+  addRateLimitField,
+  getRetryDelay,
+  withRateLimitHandling,
+  readHistory,
+  findPreviousEntry,
+  addHistoryEntry,
+  formatTrend,
+  applyTrends,
+  startOfZonedMonth,
+  resolveWindow,
+  formatBadge,
+  renderEndpointBadge,
+  getEndpointBadgeUrl,
+  parseLinkTemplates,
+  getServerUrl,
+  expandTemplate,
+  getLinkValues,
+  getShieldsUrl,
+  parseColor,
+  parseMetricColors,
+  parseColorThresholds,
+  getThresholdColor,
+  formatPeriod,
+  formatNumber,
+  parseLabelTemplates,
+  getEnterpriseOrganizations,
+  getOwnerType,
+  getUserRepositories,
   run
 } = await import('../src/index.js');
 
@@ -46,10 +107,450 @@ describe('generateBadgeMarkdown', () => {
     expect(result).toBe('![Count](https://img.shields.io/badge/Count-0-red?labelColor=555)');
   });
 
+  it('should escape dashes and underscores', () => {
+    const result = generateBadgeMarkdown('my-org_stats', -3, 'blue', '555');
+    expect(result).toBe('![my-org_stats](https://img.shields.io/badge/my--org__stats---3-blue?labelColor=555)');
+  });
+
   it('should use custom label color', () => {
     const result = generateBadgeMarkdown('Custom', 5, 'blue', 'red');
     expect(result).toBe('![Custom](https://img.shields.io/badge/Custom-5-blue?labelColor=red)');
   });
+
+  it('should format the message with the number format', () => {
+    expect(generateBadgeMarkdown('Total stars', 1234567, 'blue', '555', { numberFormat: 'compact' })).toBe(
+      '![Total stars](https://img.shields.io/badge/Total%20stars-1.2M-blue?labelColor=555)'
+    );
+    expect(generateBadgeMarkdown('Total stars', 1234567, 'blue', '555', { numberFormat: 'grouped' })).toBe(
+      '![Total stars](https://img.shields.io/badge/Total%20stars-1%2C234%2C567-blue?labelColor=555)'
+    );
+  });
+
+  it('should pass the style and logo through', () => {
+    const result = generateBadgeMarkdown('Repos', 5, 'blue', '555', { style: 'for-the-badge', logo: 'github' });
+    expect(result).toBe(
+      '![Repos](https://img.shields.io/badge/Repos-5-blue?labelColor=555&style=for-the-badge&logo=github)'
+    );
+  });
+});
+
+describe('getShieldsUrl', () => {
+  it('should leave out the default style', () => {
+    expect(getShieldsUrl('Repos', 5, 'blue', '555', { style: 'flat' })).toBe(
+      'https://img.shields.io/badge/Repos-5-blue?labelColor=555'
+    );
+  });
+
+  it('should encode the logo and logo color', () => {
+    expect(getShieldsUrl('Repos', 5, 'blue', '555', { logo: 'data:image/png;base64,a+b/c=', logoColor: 'fff' })).toBe(
+      'https://img.shields.io/badge/Repos-5-blue?labelColor=555&logo=data%3Aimage%2Fpng%3Bbase64%2Ca%2Bb%2Fc%3D&logoColor=fff'
+    );
+  });
+});
+
+describe('parseColor', () => {
+  it.each([
+    ['blue', 'blue'],
+    ['#ff8800', 'ff8800'],
+    ['0a0', '0a0'],
+    ['#ABCD', 'ABCD'],
+    ['rgb(10, 20, 30)', 'rgb(10, 20, 30)']
+  ])('should accept %s', (value, expected) => {
+    expect(parseColor(value, 'color')).toBe(expected);
+  });
+
+  it.each(['#ff888', '12345', '#fffffg'])('should reject the malformed hex color %s', value => {
+    expect(() => parseColor(value, 'color')).toThrow(`Invalid 'color' input: '${value}' is not a valid`);
+  });
+
+  it('should reject values that are not colors', () => {
+    expect(() => parseColor('light blue', 'label_color')).toThrow(
+      `Invalid 'label_color' input: 'light blue' is not a valid color`
+    );
+  });
+});
+
+describe('parseColorThresholds', () => {
+  it('should parse ascending and descending rules with a default', () => {
+    expect(
+      parseColorThresholds('pull_requests_merged: red<10, yellow<=50, green\nissues_open: #e05d44>=100, rgb(0, 128, 0)')
+    ).toEqual({
+      pull_requests_merged: [
+        { color: 'red', operator: '<', threshold: 10 },
+        { color: 'yellow', operator: '<=', threshold: 50 },
+        { color: 'green' }
+      ],
+      issues_open: [{ color: 'e05d44', operator: '>=', threshold: 100 }, { color: 'rgb(0, 128, 0)' }]
+    });
+  });
+
+  it('should only allow a default as the last rule', () => {
+    expect(() => parseColorThresholds('stars: green, red<10')).toThrow(
+      `Invalid 'color_thresholds' input: 'green' for 'stars' has no comparison, only the last rule can be a default`
+    );
+  });
+
+  it('should validate the colors', () => {
+    expect(() => parseColorThresholds('stars: #12345<10')).toThrow(
+      `Invalid 'color_thresholds' input: '#12345' is not a valid hex color`
+    );
+  });
+});
+
+describe('getThresholdColor', () => {
+  const ascending = parseColorThresholds('stars: red<10, yellow<=50, green').stars;
+  const descending = parseColorThresholds('issues_open: red>100, yellow>=20').issues_open;
+
+  it.each([
+    [ascending, 0, 'red'],
+    [ascending, 10, 'yellow'],
+    [ascending, 50, 'yellow'],
+    [ascending, 51, 'green'],
+    [descending, 101, 'red'],
+    [descending, 20, 'yellow'],
+    [descending, 19, null]
+  ])('should pick the first matching rule (%#)', (rules, value, expected) => {
+    expect(getThresholdColor(rules, value)).toBe(expected);
+  });
+});
+
+describe('parseMetricColors', () => {
+  it('should parse and validate one color per metric', () => {
+    expect(parseMetricColors('repositories: #00ff00\nstars: yellow')).toEqual({
+      repositories: '00ff00',
+      stars: 'yellow'
+    });
+  });
+
+  it('should throw for malformed lines, unknown metrics and invalid colors', () => {
+    expect(() => parseMetricColors('repositories green')).toThrow(
+      `Invalid 'metric_colors' input: expected 'metric: color', got 'repositories green'`
+    );
+    expect(() => parseMetricColors('stars_everywhere: green')).toThrow(
+      `Invalid 'metric_colors' input: unknown metric 'stars_everywhere'`
+    );
+    expect(() => parseMetricColors('stars: #12345')).toThrow(
+      `Invalid 'metric_colors' input: '#12345' is not a valid hex color`
+    );
+  });
+});
+
+describe('measureText', () => {
+  it('should measure text with the Verdana metrics table', () => {
+    expect(measureText('0')).toBeCloseTo(6.996);
+    expect(measureText('ii')).toBeCloseTo(6.028);
+  });
+
+  it('should return zero for empty text', () => {
+    expect(measureText('')).toBe(0);
+  });
+
+  it('should measure wide characters as a full em', () => {
+    expect(measureText('日本')).toBeCloseTo(22);
+  });
+});
+
+describe('toSvgColor', () => {
+  it('should map shields.io named colors', () => {
+    expect(toSvgColor('blue')).toBe('#007ec6');
+    expect(toSvgColor('brightgreen')).toBe('#4c1');
+    expect(toSvgColor('LightGrey')).toBe('#9f9f9f');
+  });
+
+  it('should prefix hex colors', () => {
+    expect(toSvgColor('555')).toBe('#555');
+    expect(toSvgColor('ff69b4')).toBe('#ff69b4');
+  });
+
+  it('should pass through other CSS colors', () => {
+    expect(toSvgColor('#333')).toBe('#333');
+    expect(toSvgColor('rgb(255,0,0)')).toBe('rgb(255,0,0)');
+  });
+});
+
+describe('renderSvgBadge', () => {
+  it('should render a flat badge with label and message widths', () => {
+    const svg = renderSvgBadge('Total repositories', 42, 'blue', '555');
+
+    const labelWidth = Math.round(measureText('Total repositories') + 10);
+    const messageWidth = Math.round(measureText('42') + 10);
+    expect(svg).toContain(`width="${labelWidth + messageWidth}" height="20"`);
+    expect(svg).toContain(`<rect width="${labelWidth}" height="20" fill="#555"/>`);
+    expect(svg).toContain(`<rect x="${labelWidth}" width="${messageWidth}" height="20" fill="#007ec6"/>`);
+    expect(svg).toContain('<title>Total repositories: 42</title>');
+    expect(svg).toContain('>Total repositories</text>');
+    expect(svg).toContain('>42</text>');
+  });
+
+  it('should escape XML special characters', () => {
+    const svg = renderSvgBadge('A & <B>', '"1"', 'red', '555');
+    expect(svg).toContain('<title>A &amp; &lt;B&gt;: &quot;1&quot;</title>');
+    expect(svg).not.toContain('<B>');
+  });
+});
+
+describe('slugify', () => {
+  it('should create file name friendly slugs', () => {
+    expect(slugify('PRs created in last 30 days')).toBe('prs-created-in-last-30-days');
+    expect(slugify('  Total repositories! ')).toBe('total-repositories');
+  });
+});
+
+describe('renderBadges', () => {
+  const badgeData = [{ label: 'Total repositories', message: 5, color: 'blue', labelColor: '555' }];
+
+  it('should render shields.io markdown by default', () => {
+    const { badges, files } = renderBadges(badgeData);
+    expect(badges).toEqual([
+      '![Total repositories](https://img.shields.io/badge/Total%20repositories-5-blue?labelColor=555)'
+    ]);
+    expect(files).toEqual([]);
+  });
+
+  it('should render SVG files and reference them relative to the README', () => {
+    const { badges, files } = renderBadges(badgeData, {
+      renderer: 'svg',
+      svgDirectory: 'profile/badges',
+      readmePath: 'profile/README.md'
+    });
+
+    expect(badges).toEqual(['![Total repositories](badges/total-repositories.svg)']);
+    expect(files).toHaveLength(1);
+    expect(files[0].path).toBe(path.join('profile', 'badges', 'total-repositories.svg'));
+    expect(files[0].content).toBe(renderSvgBadge('Total repositories', 5, 'blue', '555'));
+  });
+
+  it('should color numeric badges by the thresholds of their metric', () => {
+    const colorThresholds = parseColorThresholds('pull_requests_merged: red<10, green');
+    const { badges } = renderBadges(
+      [
+        { metric: 'pull_requests_merged', label: 'Merged', message: 4, color: 'blue', labelColor: '555' },
+        { metric: 'pull_requests_merged', label: 'Trend', message: '4 ▼50%', color: 'red', labelColor: '555' },
+        { metric: 'repositories', label: 'Repos', message: 4, color: 'blue', labelColor: '555' }
+      ],
+      { colorThresholds }
+    );
+
+    expect(badges[0]).toContain('-4-red?');
+    expect(badges[1]).toContain('-red?');
+    expect(badges[2]).toContain('-4-blue?');
+  });
+
+  it('should reference the SVG directory when no README is configured', () => {
+    const { badges } = renderBadges(badgeData, { renderer: 'svg' });
+    expect(badges).toEqual(['![Total repositories](badges/total-repositories.svg)']);
+  });
+
+  it('should join markdown badges with spaces', () => {
+    const { content } = renderBadges([...badgeData, { label: 'Stars', message: 9, color: 'blue', labelColor: '555' }]);
+    expect(content).toBe(
+      '![Total repositories](https://img.shields.io/badge/Total%20repositories-5-blue?labelColor=555) ' +
+        '![Stars](https://img.shields.io/badge/Stars-9-blue?labelColor=555)'
+    );
+  });
+
+  it('should separate reStructuredText image directives with blank lines', () => {
+    const { content } = renderBadges([...badgeData, { label: 'Stars', message: 9, color: 'blue', labelColor: '555' }], {
+      renderer: 'svg',
+      format: 'rst'
+    });
+    expect(content).toBe(
+      '.. image:: badges/total-repositories.svg\n   :alt: Total repositories\n\n.. image:: badges/stars.svg\n   :alt: Stars'
+    );
+  });
+
+  it('should write endpoint JSON files next to static badges', () => {
+    const { badges, files } = renderBadges(
+      [
+        {
+          metric: 'repositories',
+          label: 'Total repositories',
+          message: 5,
+          color: 'blue',
+          labelColor: '555'
+        }
+      ],
+      { endpointDirectory: 'stats' }
+    );
+
+    expect(badges[0]).toContain('https://img.shields.io/badge/Total%20repositories-5-blue');
+    expect(files).toEqual([
+      {
+        path: path.join('stats', 'repositories.json'),
+        content: renderEndpointBadge('Total repositories', 5, 'blue', '555')
+      }
+    ]);
+  });
+
+  it('should reference the endpoint files when an endpoint URL is set', () => {
+    const { badges } = renderBadges(badgeData, {
+      endpointDirectory: 'stats',
+      endpointUrl: 'https://my-org.github.io/stats/'
+    });
+
+    expect(badges).toEqual([
+      `![Total repositories](${getEndpointBadgeUrl('https://my-org.github.io/stats/total-repositories.json')})`
+    ]);
+  });
+
+  it('should render a JSON array for the json format', () => {
+    const { content } = renderBadges(badgeData, { format: 'json' });
+    expect(JSON.parse(content)).toEqual([
+      {
+        label: 'Total repositories',
+        value: 5,
+        color: 'blue',
+        url: 'https://img.shields.io/badge/Total%20repositories-5-blue?labelColor=555'
+      }
+    ]);
+  });
+});
+
+describe('renderEndpointBadge', () => {
+  it('should include the style and logo', () => {
+    expect(
+      JSON.parse(
+        renderEndpointBadge('Stars', 5, 'blue', '555', { style: 'social', logo: 'github', logoColor: 'white' })
+      )
+    ).toEqual(expect.objectContaining({ style: 'social', namedLogo: 'github', logoColor: 'white' }));
+  });
+
+  it('should render the shields.io endpoint schema with a string message', () => {
+    expect(JSON.parse(renderEndpointBadge('Total repositories', 5, 'blue', '555'))).toEqual({
+      schemaVersion: 1,
+      label: 'Total repositories',
+      message: '5',
+      color: 'blue',
+      labelColor: '555'
+    });
+  });
+});
+
+describe('getEndpointBadgeUrl', () => {
+  it('should encode the endpoint URL', () => {
+    expect(getEndpointBadgeUrl('https://my-org.github.io/stats/repositories.json')).toBe(
+      'https://img.shields.io/endpoint?url=https%3A%2F%2Fmy-org.github.io%2Fstats%2Frepositories.json'
+    );
+  });
+});
+
+describe('formatBadge', () => {
+  const badge = { label: 'PRs "merged" <30d>', value: 12, color: 'blue', url: 'badges/prs.svg?a=1&b=2' };
+
+  it.each([
+    ['markdown', '![PRs "merged" <30d>](badges/prs.svg?a=1&b=2)'],
+    ['html', '<img src="badges/prs.svg?a=1&amp;b=2" alt="PRs &quot;merged&quot; &lt;30d&gt;">'],
+    ['rst', '.. image:: badges/prs.svg?a=1&b=2\n   :alt: PRs "merged" <30d>'],
+    ['asciidoc', 'image:badges/prs.svg?a=1&b=2["PRs \\"merged\\" <30d>"]'],
+    ['json', JSON.stringify(badge)]
+  ])('should format a badge as %s', (format, expected) => {
+    expect(formatBadge(badge, format)).toBe(expected);
+  });
+
+  it('should default to markdown', () => {
+    expect(formatBadge(badge)).toBe(formatBadge(badge, 'markdown'));
+  });
+
+  it.each([
+    ['markdown', '[![Repos](r.svg)](https://github.com/orgs/o/repositories?a=1&b=2)'],
+    ['html', '<a href="https://github.com/orgs/o/repositories?a=1&amp;b=2"><img src="r.svg" alt="Repos"></a>'],
+    ['rst', '.. image:: r.svg\n   :alt: Repos\n   :target: https://github.com/orgs/o/repositories?a=1&b=2'],
+    ['asciidoc', 'image:r.svg["Repos",link="https://github.com/orgs/o/repositories?a=1&b=2"]']
+  ])('should wrap a badge with a link as %s', (format, expected) => {
+    const linked = {
+      label: 'Repos',
+      value: 3,
+      color: 'blue',
+      url: 'r.svg',
+      link: 'https://github.com/orgs/o/repositories?a=1&b=2'
+    };
+    expect(formatBadge(linked, format)).toBe(expected);
+  });
+});
+
+describe('getServerUrl', () => {
+  it.each([
+    [undefined, 'https://github.com'],
+    ['https://api.github.com/graphql', 'https://github.com'],
+    ['https://api.acme.ghe.com/graphql', 'https://acme.ghe.com'],
+    ['https://ghes.example.com/api/graphql', 'https://ghes.example.com']
+  ])('should derive the server URL of %s', (graphqlUrl, expected) => {
+    expect(getServerUrl(graphqlUrl)).toBe(expected);
+  });
+});
+
+describe('parseLinkTemplates', () => {
+  it('should parse one template per line', () => {
+    expect(
+      parseLinkTemplates('repositories: {server}/{org}\n\n  stars: https://example.com/stars?org={org}  ')
+    ).toEqual({ repositories: '{server}/{org}', stars: 'https://example.com/stars?org={org}' });
+  });
+
+  it('should return no templates for empty input', () => {
+    expect(parseLinkTemplates('')).toEqual({});
+  });
+
+  it('should throw for malformed lines and unknown metrics', () => {
+    expect(() => parseLinkTemplates('repositories')).toThrow(
+      `Invalid 'link_templates' input: expected 'metric: url', got 'repositories'`
+    );
+    expect(() => parseLinkTemplates('stars_everywhere: https://example.com')).toThrow(
+      `Invalid 'link_templates' input: unknown metric 'stars_everywhere'`
+    );
+  });
+});
+
+describe('expandTemplate', () => {
+  it('should replace known placeholders and keep unknown ones', () => {
+    expect(expandTemplate('{server}/orgs/{org}/{other}', { server: 'https://github.com', org: 'o' })).toBe(
+      'https://github.com/orgs/o/{other}'
+    );
+  });
+});
+
+describe('getLinkValues', () => {
+  it('should return an open-ended search range for rolling windows', () => {
+    expect(getLinkValues('o', 'https://github.com', { since: '2026-07-01T00:00:00.000Z', until: null })).toEqual(
+      expect.objectContaining({ since: '2026-07-01', range: encodeURIComponent('>=2026-07-01T00:00:00Z') })
+    );
+  });
+
+  it('should end a bounded range a second before the end of the window', () => {
+    expect(
+      getLinkValues('o', 'https://github.com', { since: '2026-07-01T00:00:00.000Z', until: '2026-08-01T00:00:00.000Z' })
+    ).toEqual({
+      server: 'https://github.com',
+      org: 'o',
+      since: '2026-07-01',
+      until: '2026-07-31',
+      range: encodeURIComponent('2026-07-01T00:00:00Z..2026-07-31T23:59:59Z')
+    });
+  });
+
+  it('should omit the dates without a window', () => {
+    expect(getLinkValues('o', 'https://github.com')).toEqual({ server: 'https://github.com', org: 'o' });
+  });
+});
+
+describe('writeFiles', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'badges-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should create directories and report changes', () => {
+    const filePath = path.join(tmpDir, 'nested', 'badge.svg');
+
+    expect(writeFiles([{ path: filePath, content: '<svg/>' }])).toBe(true);
+    expect(fs.readFileSync(filePath, 'utf8')).toBe('<svg/>');
+    expect(writeFiles([{ path: filePath, content: '<svg/>' }])).toBe(false);
+    expect(writeFiles([{ path: filePath, content: '<svg></svg>' }])).toBe(true);
+  });
 });
 
 describe('getRepositoryCount', () => {
@@ -119,7 +620,7 @@ describe('getRepositories', () => {
 
     const repos = await getRepositories('test-org', mockGraphqlClient);
 
-    expect(repos).toEqual(['repo1', 'repo2', 'repo3']);
+    expect(repos).toEqual([{ name: 'repo1' }, { name: 'repo2' }, { name: 'repo3' }]);
     expect(mockGraphqlClient).toHaveBeenCalledTimes(2);
   });
 
@@ -138,10 +639,46 @@ describe('getRepositories', () => {
 
     const repos = await getRepositories('test-org', mockGraphqlClient);
 
-    expect(repos).toEqual(['single-repo']);
+    expect(repos).toEqual([{ name: 'single-repo' }]);
     expect(mockGraphqlClient).toHaveBeenCalledTimes(1);
   });
 
+  it('should include star and fork counts', async () => {
+    const mockGraphqlClient = jest.fn().mockResolvedValue({
+      organization: {
+        repositories: {
+          nodes: [{ name: 'repo1', stargazerCount: 10, forkCount: 2 }],
+          pageInfo: { endCursor: null, hasNextPage: false }
+        }
+      }
+    });
+
+    const repos = await getRepositories('test-org', mockGraphqlClient);
+
+    expect(repos).toEqual([{ name: 'repo1', stargazerCount: 10, forkCount: 2 }]);
+    expect(mockGraphqlClient).toHaveBeenCalledWith(expect.stringContaining('stargazerCount'), expect.any(Object));
+  });
+
+  it('should only include languages when a language count is given', async () => {
+    const mockGraphqlClient = jest.fn().mockResolvedValue({
+      organization: {
+        repositories: {
+          nodes: [],
+          pageInfo: { endCursor: null, hasNextPage: false }
+        }
+      }
+    });
+
+    await getRepositories('test-org', mockGraphqlClient);
+    await getRepositories('test-org', mockGraphqlClient, { languageCount: 10 });
+
+    expect(mockGraphqlClient.mock.calls[0][0]).toContain('@include(if: $includeLanguages)');
+    expect(mockGraphqlClient.mock.calls[0][1]).toEqual(expect.objectContaining({ includeLanguages: false }));
+    expect(mockGraphqlClient.mock.calls[1][1]).toEqual(
+      expect.objectContaining({ includeLanguages: true, languageCount: 10 })
+    );
+  });
+
   it('should handle empty repository list', async () => {
     const mockGraphqlClient = jest.fn().mockResolvedValue({
       organization: {
@@ -244,40 +781,38 @@ describe('getPullRequestsCount', () => {
     expect(mockGraphqlClient).toHaveBeenCalledTimes(2);
   });
 
-  it('should return zero counts when no PRs match filter', async () => {
+  it('should order PRs by last update', async () => {
     const mockGraphqlClient = jest.fn().mockResolvedValue({
       repository: {
-        pullRequests: {
-          nodes: [
-            {
-              createdAt: '2023-01-15T10:00:00Z',
-              mergedAt: '2023-01-20T10:00:00Z',
-              state: 'MERGED'
-            }
-          ],
-          pageInfo: {
-            endCursor: null,
-            hasNextPage: false
-          }
-        }
+        pullRequests: { totalCount: 0, nodes: [], pageInfo: { endCursor: null, hasNextPage: false } }
       }
     });
 
-    const result = await getPullRequestsCount('test-org', 'test-repo', filterDate, mockGraphqlClient);
+    await getPullRequestsCount('test-org', 'test-repo', filterDate, mockGraphqlClient);
 
-    expect(result.total).toBe(0);
-    expect(result.merged).toBe(0);
+    expect(mockGraphqlClient.mock.calls[0][0]).toContain('orderBy: { field: UPDATED_AT, direction: DESC }');
   });
 
-  it('should handle repository with no pull requests', async () => {
-    const mockGraphqlClient = jest.fn().mockResolvedValue({
+  it('should stop paging once PRs were last updated before the filter date', async () => {
+    const mockGraphqlClient = jest.fn().mockResolvedValueOnce({
       repository: {
         pullRequests: {
-          nodes: [],
-          pageInfo: {
-            endCursor: null,
-            hasNextPage: false
-          }
+          totalCount: 450,
+          nodes: [
+            {
+              createdAt: '2023-11-01T10:00:00Z',
+              mergedAt: '2024-01-05T10:00:00Z',
+              updatedAt: '2024-01-05T10:00:00Z',
+              state: 'MERGED'
+            },
+            {
+              createdAt: '2023-10-01T10:00:00Z',
+              mergedAt: '2023-10-02T10:00:00Z',
+              updatedAt: '2023-12-20T10:00:00Z',
+              state: 'MERGED'
+            }
+          ],
+          pageInfo: { endCursor: 'cursor1', hasNextPage: true }
         }
       }
     });
@@ -285,39 +820,39 @@ describe('getPullRequestsCount', () => {
     const result = await getPullRequestsCount('test-org', 'test-repo', filterDate, mockGraphqlClient);
 
     expect(result.total).toBe(0);
-    expect(result.merged).toBe(0);
+    expect(result.merged).toBe(1); // Merged inside the window although created long before it
+    expect(mockGraphqlClient).toHaveBeenCalledTimes(1);
+    expect(core.debug).toHaveBeenCalledWith('Stopped paging PRs for test-org/test-repo after 1 pages, skipped 4 pages');
   });
-});
-
-describe('processPullRequestsInBatches', () => {
-  const filterDate = '2024-01-01';
 
-  it('should process multiple repositories in batches', async () => {
+  it('should keep paging while PRs were updated inside the window', async () => {
     const mockGraphqlClient = jest
       .fn()
-      // repo1
       .mockResolvedValueOnce({
         repository: {
           pullRequests: {
+            totalCount: 2,
             nodes: [
               {
                 createdAt: '2024-01-15T10:00:00Z',
-                mergedAt: '2024-01-20T10:00:00Z',
-                state: 'MERGED'
+                mergedAt: null,
+                updatedAt: '2024-01-16T10:00:00Z',
+                state: 'OPEN'
               }
             ],
-            pageInfo: { endCursor: null, hasNextPage: false }
+            pageInfo: { endCursor: 'cursor1', hasNextPage: true }
           }
         }
       })
-      // repo2
       .mockResolvedValueOnce({
         repository: {
           pullRequests: {
+            totalCount: 2,
             nodes: [
               {
-                createdAt: '2024-01-10T10:00:00Z',
+                createdAt: '2024-01-02T10:00:00Z',
                 mergedAt: null,
+                updatedAt: '2024-01-03T10:00:00Z',
                 state: 'OPEN'
               }
             ],
@@ -326,30 +861,223 @@ describe('processPullRequestsInBatches', () => {
         }
       });
 
-    const repos = ['repo1', 'repo2'];
-    const result = await processPullRequestsInBatches('test-org', repos, filterDate, mockGraphqlClient, 10);
+    const result = await getPullRequestsCount('test-org', 'test-repo', filterDate, mockGraphqlClient);
 
-    expect(result.totalOpenPRs).toBe(2);
-    expect(result.totalMergedPRs).toBe(1);
+    expect(result.total).toBe(2);
     expect(mockGraphqlClient).toHaveBeenCalledTimes(2);
   });
 
-  it('should process repositories in multiple batches', async () => {
-    const mockGraphqlClient = jest
-      .fn()
-      // batch 1: repo1, repo2
-      .mockResolvedValueOnce({
-        repository: {
-          pullRequests: {
-            nodes: [
-              {
-                createdAt: '2024-01-15T10:00:00Z',
-                mergedAt: '2024-01-20T10:00:00Z',
-                state: 'MERGED'
-              }
-            ],
-            pageInfo: { endCursor: null, hasNextPage: false }
-          }
+  it('should count additional windows in the same scan', async () => {
+    const mockGraphqlClient = jest.fn().mockResolvedValue({
+      repository: {
+        pullRequests: {
+          nodes: [
+            {
+              createdAt: '2024-01-25T10:00:00Z',
+              mergedAt: '2024-01-26T10:00:00Z',
+              state: 'MERGED',
+              author: { login: 'octocat', __typename: 'User' }
+            },
+            {
+              createdAt: '2024-01-05T10:00:00Z',
+              mergedAt: '2024-01-22T10:00:00Z',
+              state: 'MERGED',
+              author: { login: 'hubot', __typename: 'User' }
+            },
+            { createdAt: '2024-01-03T10:00:00Z', mergedAt: null, state: 'OPEN', author: null }
+          ],
+          pageInfo: { endCursor: null, hasNextPage: false }
+        }
+      }
+    });
+
+    const result = await getPullRequestsCount('test-org', 'test-repo', filterDate, mockGraphqlClient, {
+      windows: [{ since: '2024-01-20' }, { since: '2024-01-01', until: '2024-01-25' }]
+    });
+
+    expect(result.total).toBe(3);
+    expect(result.windows).toEqual([
+      { total: 1, merged: 2, automatedTotal: 0, automatedMerged: 0, authors: ['octocat'] },
+      { total: 2, merged: 1, automatedTotal: 0, automatedMerged: 0, authors: ['hubot'] }
+    ]);
+    expect(mockGraphqlClient).toHaveBeenCalledTimes(1);
+  });
+
+  it('should return zero counts when no PRs match filter', async () => {
+    const mockGraphqlClient = jest.fn().mockResolvedValue({
+      repository: {
+        pullRequests: {
+          nodes: [
+            {
+              createdAt: '2023-01-15T10:00:00Z',
+              mergedAt: '2023-01-20T10:00:00Z',
+              state: 'MERGED'
+            }
+          ],
+          pageInfo: {
+            endCursor: null,
+            hasNextPage: false
+          }
+        }
+      }
+    });
+
+    const result = await getPullRequestsCount('test-org', 'test-repo', filterDate, mockGraphqlClient);
+
+    expect(result.total).toBe(0);
+    expect(result.merged).toBe(0);
+  });
+
+  it('should count PRs by excluded authors as automated', async () => {
+    const mockGraphqlClient = jest.fn().mockResolvedValue({
+      repository: {
+        pullRequests: {
+          nodes: [
+            {
+              createdAt: '2024-01-15T10:00:00Z',
+              mergedAt: '2024-01-20T10:00:00Z',
+              state: 'MERGED',
+              author: { login: 'dependabot', __typename: 'Bot' }
+            },
+            {
+              createdAt: '2024-01-16T10:00:00Z',
+              mergedAt: null,
+              state: 'OPEN',
+              author: { login: 'renovate', __typename: 'Bot' }
+            },
+            {
+              createdAt: '2024-01-17T10:00:00Z',
+              mergedAt: '2024-01-18T10:00:00Z',
+              state: 'MERGED',
+              author: { login: 'octocat', __typename: 'User' }
+            },
+            {
+              createdAt: '2024-01-17T10:00:00Z',
+              mergedAt: null,
+              state: 'OPEN',
+              author: null
+            }
+          ],
+          pageInfo: { endCursor: null, hasNextPage: false }
+        }
+      }
+    });
+
+    const result = await getPullRequestsCount('test-org', 'test-repo', filterDate, mockGraphqlClient, {
+      excludeAuthors: ['*[bot]']
+    });
+
+    expect(result.total).toBe(2);
+    expect(result.merged).toBe(1);
+    expect(result.automatedTotal).toBe(2);
+    expect(result.automatedMerged).toBe(1);
+    expect(result.authors).toEqual(['octocat']);
+  });
+
+  it('should not exclude any PRs by default', async () => {
+    const mockGraphqlClient = jest.fn().mockResolvedValue({
+      repository: {
+        pullRequests: {
+          nodes: [
+            {
+              createdAt: '2024-01-15T10:00:00Z',
+              mergedAt: null,
+              state: 'OPEN',
+              author: { login: 'dependabot', __typename: 'Bot' }
+            }
+          ],
+          pageInfo: { endCursor: null, hasNextPage: false }
+        }
+      }
+    });
+
+    const result = await getPullRequestsCount('test-org', 'test-repo', filterDate, mockGraphqlClient);
+
+    expect(result.total).toBe(1);
+    expect(result.automatedTotal).toBe(0);
+  });
+
+  it('should handle repository with no pull requests', async () => {
+    const mockGraphqlClient = jest.fn().mockResolvedValue({
+      repository: {
+        pullRequests: {
+          nodes: [],
+          pageInfo: {
+            endCursor: null,
+            hasNextPage: false
+          }
+        }
+      }
+    });
+
+    const result = await getPullRequestsCount('test-org', 'test-repo', filterDate, mockGraphqlClient);
+
+    expect(result.total).toBe(0);
+    expect(result.merged).toBe(0);
+  });
+});
+
+describe('processPullRequestsInBatches', () => {
+  const filterDate = '2024-01-01';
+
+  it('should process multiple repositories in batches', async () => {
+    const mockGraphqlClient = jest
+      .fn()
+      // repo1
+      .mockResolvedValueOnce({
+        repository: {
+          pullRequests: {
+            nodes: [
+              {
+                createdAt: '2024-01-15T10:00:00Z',
+                mergedAt: '2024-01-20T10:00:00Z',
+                state: 'MERGED'
+              }
+            ],
+            pageInfo: { endCursor: null, hasNextPage: false }
+          }
+        }
+      })
+      // repo2
+      .mockResolvedValueOnce({
+        repository: {
+          pullRequests: {
+            nodes: [
+              {
+                createdAt: '2024-01-10T10:00:00Z',
+                mergedAt: null,
+                state: 'OPEN'
+              }
+            ],
+            pageInfo: { endCursor: null, hasNextPage: false }
+          }
+        }
+      });
+
+    const repos = ['repo1', 'repo2'];
+    const result = await processPullRequestsInBatches('test-org', repos, filterDate, mockGraphqlClient, 10);
+
+    expect(result.totalOpenPRs).toBe(2);
+    expect(result.totalMergedPRs).toBe(1);
+    expect(mockGraphqlClient).toHaveBeenCalledTimes(2);
+  });
+
+  it('should process repositories in multiple batches', async () => {
+    const mockGraphqlClient = jest
+      .fn()
+      // batch 1: repo1, repo2
+      .mockResolvedValueOnce({
+        repository: {
+          pullRequests: {
+            nodes: [
+              {
+                createdAt: '2024-01-15T10:00:00Z',
+                mergedAt: '2024-01-20T10:00:00Z',
+                state: 'MERGED'
+              }
+            ],
+            pageInfo: { endCursor: null, hasNextPage: false }
+          }
         }
       })
       .mockResolvedValueOnce({
@@ -453,6 +1181,83 @@ describe('processPullRequestsInBatches', () => {
     expect(result.totalMergedPRs).toBe(2);
   });
 
+  it('should de-duplicate contributors across repositories', async () => {
+    const mockGraphqlClient = jest.fn().mockImplementation((_, { repo }) =>
+      Promise.resolve({
+        repository: {
+          pullRequests: {
+            nodes: [
+              {
+                createdAt: '2024-01-15T10:00:00Z',
+                mergedAt: null,
+                state: 'OPEN',
+                author: { login: 'octocat', __typename: 'User' }
+              },
+              {
+                createdAt: '2024-01-16T10:00:00Z',
+                mergedAt: null,
+                state: 'OPEN',
+                author: {
+                  login: repo === 'repo1' ? 'hubot' : 'dependabot',
+                  __typename: repo === 'repo1' ? 'User' : 'Bot'
+                }
+              },
+              {
+                createdAt: '2023-01-16T10:00:00Z',
+                mergedAt: null,
+                state: 'OPEN',
+                author: { login: 'old-contributor', __typename: 'User' }
+              }
+            ],
+            pageInfo: { endCursor: null, hasNextPage: false }
+          }
+        }
+      })
+    );
+
+    const result = await processPullRequestsInBatches('test-org', ['repo1', 'repo2'], filterDate, mockGraphqlClient);
+
+    expect(result.contributors).toEqual(['dependabot[bot]', 'hubot', 'octocat']);
+  });
+
+  it('should aggregate automated PR counts across repositories', async () => {
+    const mockGraphqlClient = jest.fn().mockResolvedValue({
+      repository: {
+        pullRequests: {
+          nodes: [
+            {
+              createdAt: '2024-01-15T10:00:00Z',
+              mergedAt: '2024-01-16T10:00:00Z',
+              state: 'MERGED',
+              author: { login: 'renovate', __typename: 'Bot' }
+            },
+            {
+              createdAt: '2024-01-15T10:00:00Z',
+              mergedAt: null,
+              state: 'OPEN',
+              author: { login: 'octocat', __typename: 'User' }
+            }
+          ],
+          pageInfo: { endCursor: null, hasNextPage: false }
+        }
+      }
+    });
+
+    const result = await processPullRequestsInBatches(
+      'test-org',
+      ['repo1', 'repo2'],
+      filterDate,
+      mockGraphqlClient,
+      10,
+      { excludeAuthors: ['renovate*'] }
+    );
+
+    expect(result.totalOpenPRs).toBe(2);
+    expect(result.totalMergedPRs).toBe(0);
+    expect(result.totalAutomatedOpenPRs).toBe(2);
+    expect(result.totalAutomatedMergedPRs).toBe(2);
+  });
+
   it('should propagate errors when an API call fails within a batch', async () => {
     const mockError = new Error('API rate limit exceeded');
     const mockGraphqlClient = jest
@@ -474,31 +1279,353 @@ describe('processPullRequestsInBatches', () => {
   });
 });
 
-describe('generateBadges', () => {
-  beforeEach(() => {
-    jest.clearAllMocks();
+describe('filterRepositories', () => {
+  const repo = (name, overrides = {}) => ({
+    name,
+    isArchived: false,
+    isFork: false,
+    isTemplate: false,
+    visibility: 'PUBLIC',
+    repositoryTopics: { nodes: [] },
+    ...overrides
   });
+  const names = repos => repos.map(r => r.name);
 
-  it('should generate all badges for an organization', async () => {
+  const repos = [
+    repo('app'),
+    repo('old-app', { isArchived: true }),
+    repo('forked', { isFork: true }),
+    repo('template', { isTemplate: true }),
+    repo('secret', { visibility: 'PRIVATE' }),
+    repo('inner', { visibility: 'INTERNAL', repositoryTopics: { nodes: [{ topic: { name: 'Service' } }] } }),
+    repo('sandbox-1', { repositoryTopics: { nodes: [{ topic: { name: 'service' } }, { topic: { name: 'go' } }] } })
+  ];
+
+  it('should include all repositories without filters', () => {
+    expect(filterRepositories(repos)).toHaveLength(repos.length);
+    expect(filterRepositories(repos, {})).toHaveLength(repos.length);
+  });
+
+  it('should exclude archived repositories, forks and templates', () => {
+    expect(names(filterRepositories(repos, { includeArchived: false }))).not.toContain('old-app');
+    expect(names(filterRepositories(repos, { includeForks: false }))).not.toContain('forked');
+    expect(names(filterRepositories(repos, { includeTemplates: false }))).not.toContain('template');
+  });
+
+  it('should filter by visibility', () => {
+    expect(names(filterRepositories(repos, { visibility: ['private', 'internal'] }))).toEqual(['secret', 'inner']);
+  });
+
+  it('should require all topics', () => {
+    expect(names(filterRepositories(repos, { topics: ['service'] }))).toEqual(['inner', 'sandbox-1']);
+    expect(names(filterRepositories(repos, { topics: ['service', 'go'] }))).toEqual(['sandbox-1']);
+  });
+
+  it('should include and exclude repositories by name pattern', () => {
+    expect(names(filterRepositories(repos, { includeRepositories: ['*app'] }))).toEqual(['app', 'old-app']);
+    expect(names(filterRepositories(repos, { excludeRepositories: ['sandbox-*', 'Secret'] }))).toEqual([
+      'app',
+      'old-app',
+      'forked',
+      'template',
+      'inner'
+    ]);
+  });
+});
+
+describe('aggregateLanguages', () => {
+  const language = (name, color, size) => ({ size, node: { name, color } });
+
+  it('should sum language sizes across repositories and return the largest', () => {
+    const repos = [
+      { languages: { edges: [language('JavaScript', '#f1e05a', 500), language('Go', '#00ADD8', 100)] } },
+      { languages: { edges: [language('Go', '#00ADD8', 200), language('Shell', '#89e051', 150)] } },
+      { languages: { edges: [language('JavaScript', '#f1e05a', 50)] } }
+    ];
+
+    expect(aggregateLanguages(repos, 2)).toEqual([
+      { name: 'JavaScript', color: '#f1e05a', size: 550, percent: 55 },
+      { name: 'Go', color: '#00ADD8', size: 300, percent: 30 }
+    ]);
+  });
+
+  it('should take percentages of the total size of all languages, including those not fetched', () => {
+    const repos = [
+      {
+        languages: { totalSize: 1000, edges: [language('JavaScript', '#f1e05a', 500), language('Go', '#00ADD8', 100)] }
+      },
+      { languages: { totalSize: 1000, edges: [language('Go', '#00ADD8', 200)] } }
+    ];
+
+    expect(aggregateLanguages(repos, 2).map(({ name, percent }) => [name, percent])).toEqual([
+      ['JavaScript', 25],
+      ['Go', 15]
+    ]);
+  });
+
+  it('should handle repositories without languages', () => {
+    expect(aggregateLanguages([{ name: 'empty' }, { languages: { edges: [] } }], 3)).toEqual([]);
+  });
+});
+
+describe('getStarsGainedCount', () => {
+  const filterDate = '2024-01-01';
+
+  it('should count stars after the filter date and stop paginating at older stars', async () => {
     const mockGraphqlClient = jest
       .fn()
-      // getRepositories call
       .mockResolvedValueOnce({
-        organization: {
-          repositories: {
-            nodes: [{ name: 'repo1' }, { name: 'repo2' }],
-            pageInfo: {
-              endCursor: null,
-              hasNextPage: false
-            }
+        repository: {
+          stargazers: {
+            edges: [{ starredAt: '2024-01-20T10:00:00Z' }, { starredAt: '2024-01-10T10:00:00Z' }],
+            pageInfo: { endCursor: 'cursor1', hasNextPage: true }
           }
         }
       })
-      // getPullRequestsCount for repo1
       .mockResolvedValueOnce({
         repository: {
-          pullRequests: {
-            nodes: [
+          stargazers: {
+            edges: [{ starredAt: '2024-01-05T10:00:00Z' }, { starredAt: '2023-12-10T10:00:00Z' }],
+            pageInfo: { endCursor: 'cursor2', hasNextPage: true }
+          }
+        }
+      });
+
+    const gained = await getStarsGainedCount('test-org', 'test-repo', filterDate, mockGraphqlClient);
+
+    expect(gained).toBe(3);
+    expect(mockGraphqlClient).toHaveBeenCalledTimes(2);
+    expect(mockGraphqlClient).toHaveBeenCalledWith(expect.stringContaining('STARRED_AT'), expect.any(Object));
+  });
+
+  it('should return zero for a repository without recent stars', async () => {
+    const mockGraphqlClient = jest.fn().mockResolvedValue({
+      repository: {
+        stargazers: {
+          edges: [],
+          pageInfo: { endCursor: null, hasNextPage: false }
+        }
+      }
+    });
+
+    expect(await getStarsGainedCount('test-org', 'test-repo', filterDate, mockGraphqlClient)).toBe(0);
+  });
+});
+
+describe('getIssuesCount', () => {
+  const filterDate = '2024-01-01';
+
+  it('should count opened, closed and open issues', async () => {
+    const mockGraphqlClient = jest.fn().mockResolvedValue({
+      repository: {
+        openIssues: { totalCount: 4 },
+        issues: {
+          nodes: [
+            { createdAt: '2024-01-15T10:00:00Z', closedAt: '2024-01-20T10:00:00Z', state: 'CLOSED' },
+            { createdAt: '2024-01-10T10:00:00Z', closedAt: null, state: 'OPEN' },
+            { createdAt: '2023-12-15T10:00:00Z', closedAt: '2024-01-02T10:00:00Z', state: 'CLOSED' },
+            { createdAt: '2023-11-15T10:00:00Z', closedAt: '2023-12-02T10:00:00Z', state: 'CLOSED' }
+          ],
+          pageInfo: { endCursor: null, hasNextPage: false }
+        }
+      }
+    });
+
+    const result = await getIssuesCount('test-org', 'test-repo', filterDate, mockGraphqlClient);
+
+    expect(result).toEqual({ opened: 2, closed: 2, open: 4 });
+    expect(mockGraphqlClient).toHaveBeenCalledWith(expect.stringContaining('issues(first: 100'), {
+      org: 'test-org',
+      repo: 'test-repo',
+      after: undefined,
+      firstPage: true
+    });
+  });
+
+  it('should count additional windows in the same scan', async () => {
+    const mockGraphqlClient = jest.fn().mockResolvedValue({
+      repository: {
+        openIssues: { totalCount: 1 },
+        issues: {
+          nodes: [
+            { createdAt: '2024-01-15T10:00:00Z', closedAt: '2024-01-20T10:00:00Z', state: 'CLOSED' },
+            { createdAt: '2023-12-15T10:00:00Z', closedAt: null, state: 'OPEN' }
+          ],
+          pageInfo: { endCursor: null, hasNextPage: false }
+        }
+      }
+    });
+
+    const result = await getIssuesCount('test-org', 'test-repo', '2023-12-01', mockGraphqlClient, {
+      windows: [{ since: '2024-01-18' }, { since: '2023-12-01', until: '2024-01-01' }]
+    });
+
+    expect(result).toEqual({
+      opened: 2,
+      closed: 1,
+      open: 1,
+      windows: [
+        { opened: 0, closed: 1 },
+        { opened: 1, closed: 0 }
+      ]
+    });
+  });
+
+  it('should not count reopened issues as closed', async () => {
+    const mockGraphqlClient = jest.fn().mockResolvedValue({
+      repository: {
+        openIssues: { totalCount: 1 },
+        issues: {
+          nodes: [{ createdAt: '2023-12-15T10:00:00Z', closedAt: '2024-01-02T10:00:00Z', state: 'OPEN' }],
+          pageInfo: { endCursor: null, hasNextPage: false }
+        }
+      }
+    });
+
+    const result = await getIssuesCount('test-org', 'test-repo', filterDate, mockGraphqlClient);
+
+    expect(result.closed).toBe(0);
+  });
+
+  it('should handle pagination for issues', async () => {
+    const mockGraphqlClient = jest
+      .fn()
+      .mockResolvedValueOnce({
+        repository: {
+          openIssues: { totalCount: 1 },
+          issues: {
+            nodes: [{ createdAt: '2024-01-15T10:00:00Z', closedAt: null, state: 'OPEN' }],
+            pageInfo: { endCursor: 'cursor1', hasNextPage: true }
+          }
+        }
+      })
+      .mockResolvedValueOnce({
+        repository: {
+          issues: {
+            nodes: [{ createdAt: '2024-01-16T10:00:00Z', closedAt: '2024-01-17T10:00:00Z', state: 'CLOSED' }],
+            pageInfo: { endCursor: null, hasNextPage: false }
+          }
+        }
+      });
+
+    const result = await getIssuesCount('test-org', 'test-repo', filterDate, mockGraphqlClient);
+
+    expect(result).toEqual({ opened: 2, closed: 1, open: 1 });
+    expect(mockGraphqlClient).toHaveBeenLastCalledWith(expect.any(String), {
+      org: 'test-org',
+      repo: 'test-repo',
+      after: 'cursor1',
+      firstPage: false
+    });
+  });
+
+  it('should stop paging once issues were last updated before the filter date', async () => {
+    const mockGraphqlClient = jest.fn().mockResolvedValueOnce({
+      repository: {
+        openIssues: { totalCount: 3 },
+        issues: {
+          totalCount: 500,
+          nodes: [
+            {
+              createdAt: '2024-01-15T10:00:00Z',
+              closedAt: null,
+              updatedAt: '2024-01-15T10:00:00Z',
+              state: 'OPEN'
+            },
+            {
+              createdAt: '2023-06-01T10:00:00Z',
+              closedAt: '2023-07-01T10:00:00Z',
+              updatedAt: '2023-07-01T10:00:00Z',
+              state: 'CLOSED'
+            }
+          ],
+          pageInfo: { endCursor: 'cursor1', hasNextPage: true }
+        }
+      }
+    });
+
+    const result = await getIssuesCount('test-org', 'test-repo', filterDate, mockGraphqlClient);
+
+    expect(result).toEqual({ opened: 1, closed: 0, open: 3 });
+    expect(mockGraphqlClient).toHaveBeenCalledTimes(1);
+    expect(mockGraphqlClient.mock.calls[0][0]).toContain('orderBy: { field: UPDATED_AT, direction: DESC }');
+    expect(core.debug).toHaveBeenCalledWith(
+      'Stopped paging issues for test-org/test-repo after 1 pages, skipped 4 pages'
+    );
+  });
+});
+
+describe('processIssuesInBatches', () => {
+  it('should aggregate issue counts across repositories', async () => {
+    const mockGraphqlClient = jest.fn().mockImplementation((_, { repo }) =>
+      Promise.resolve({
+        repository: {
+          openIssues: { totalCount: repo === 'repo1' ? 3 : 1 },
+          issues: {
+            nodes: [{ createdAt: '2024-01-15T10:00:00Z', closedAt: '2024-01-16T10:00:00Z', state: 'CLOSED' }],
+            pageInfo: { endCursor: null, hasNextPage: false }
+          }
+        }
+      })
+    );
+
+    const result = await processIssuesInBatches(
+      'test-org',
+      ['repo1', 'repo2', 'repo3'],
+      '2024-01-01',
+      mockGraphqlClient,
+      2
+    );
+
+    expect(result).toEqual({ totalOpenedIssues: 3, totalClosedIssues: 3, totalOpenIssues: 5 });
+    expect(mockGraphqlClient).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe('processInBatches', () => {
+  it('should limit concurrency to the batch size and keep the item order', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const callback = async item => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setImmediate(resolve));
+      inFlight--;
+      return item * 2;
+    };
+
+    const results = await processInBatches([1, 2, 3, 4, 5], 2, callback);
+
+    expect(results).toEqual([2, 4, 6, 8, 10]);
+    expect(maxInFlight).toBe(2);
+  });
+});
+
+describe('generateBadges', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should generate all badges for an organization', async () => {
+    const mockGraphqlClient = jest
+      .fn()
+      // getRepositories call
+      .mockResolvedValueOnce({
+        organization: {
+          repositories: {
+            nodes: [{ name: 'repo1' }, { name: 'repo2' }],
+            pageInfo: {
+              endCursor: null,
+              hasNextPage: false
+            }
+          }
+        }
+      })
+      // getPullRequestsCount for repo1
+      .mockResolvedValueOnce({
+        repository: {
+          pullRequests: {
+            nodes: [
               {
                 createdAt: '2024-01-15T10:00:00Z',
                 mergedAt: '2024-01-20T10:00:00Z',
@@ -638,51 +1765,43 @@ describe('generateBadges', () => {
   });
 });
 
-describe('validateRequiredInput', () => {
-  it('should return value when input is provided', () => {
-    const result = validateRequiredInput('test-org', 'organization');
-    expect(result).toBe('test-org');
-  });
-
-  it('should throw error when input is missing', () => {
-    expect(() => validateRequiredInput('', 'organization')).toThrow('organization is required');
-  });
-
-  it('should throw error when input is null', () => {
-    expect(() => validateRequiredInput(null, 'token')).toThrow('token is required');
-  });
-
-  it('should throw error when input is undefined', () => {
-    expect(() => validateRequiredInput(undefined, 'days')).toThrow('days is required');
-  });
-});
-
-describe('createGraphqlClient', () => {
-  it('should create a graphql client with default URL', () => {
-    const client = createGraphqlClient('test-token');
-    expect(client).toBeDefined();
-    expect(typeof client).toBe('function');
+describe('collectBadges', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
   });
 
-  it('should create a graphql client with custom URL', () => {
-    const client = createGraphqlClient('test-token', 'https://custom.github.com/graphql');
-    expect(client).toBeDefined();
-    expect(typeof client).toBe('function');
-  });
+  it('should return the data for each badge', async () => {
+    const mockGraphqlClient = jest.fn().mockResolvedValueOnce({
+      organization: {
+        repositories: {
+          nodes: [],
+          pageInfo: { endCursor: null, hasNextPage: false }
+        }
+      }
+    });
 
-  it('should create a graphql client when custom URL matches default', () => {
-    const client = createGraphqlClient('test-token', 'https://api.github.com/graphql');
-    expect(client).toBeDefined();
-    expect(typeof client).toBe('function');
-  });
-});
+    const badgeData = await collectBadges('test-org', 'token', 7, mockGraphqlClient, 'green', '333');
 
-describe('run', () => {
-  beforeEach(() => {
-    jest.clearAllMocks();
+    expect(badgeData).toEqual([
+      { metric: 'repositories', label: 'Total repositories', message: 0, color: 'green', labelColor: '333' },
+      {
+        metric: 'pull_requests_created',
+        label: 'PRs created in last 7 days',
+        message: 0,
+        color: 'green',
+        labelColor: '333'
+      },
+      {
+        metric: 'pull_requests_merged',
+        label: 'Merged PRs in last 7 days',
+        message: 0,
+        color: 'green',
+        labelColor: '333'
+      }
+    ]);
   });
 
-  it('should execute with provided config and set outputs', async () => {
+  it('should only collect the selected metrics in the given order', async () => {
     const mockGraphqlClient = jest
       .fn()
       .mockResolvedValueOnce({
@@ -696,92 +1815,3039 @@ describe('run', () => {
       .mockResolvedValueOnce({
         repository: {
           pullRequests: {
-            nodes: [],
+            nodes: [{ createdAt: new Date().toISOString(), mergedAt: new Date().toISOString(), state: 'MERGED' }],
             pageInfo: { endCursor: null, hasNextPage: false }
           }
         }
       });
 
-    const config = {
-      organization: 'test-org',
-      token: 'test-token',
-      days: 30,
-      graphqlClient: mockGraphqlClient,
-      color: 'blue',
-      labelColor: '555'
-    };
-
-    const badges = await run(config);
+    const badgeData = await collectBadges('test-org', 'token', 30, mockGraphqlClient, 'blue', '555', undefined, {
+      metrics: ['pull_requests_merged', 'repositories']
+    });
 
-    expect(badges).toHaveLength(3);
-    expect(core.setOutput).toHaveBeenCalledWith('badges', expect.any(String));
-    expect(core.info).toHaveBeenCalledWith(expect.stringContaining('Badge markdown:'));
+    expect(badgeData.map(badge => [badge.metric, badge.message])).toEqual([
+      ['pull_requests_merged', 1],
+      ['repositories', 1]
+    ]);
+    expect(mockGraphqlClient).toHaveBeenCalledTimes(2);
   });
 
-  it('should handle errors during execution', async () => {
-    const mockGraphqlClient = jest.fn().mockRejectedValue(new Error('API Error'));
-
-    const mockExit = jest.spyOn(process, 'exit').mockImplementation(() => {
-      throw new Error('process.exit called');
+  it('should not query pull requests when no pull request metric is selected', async () => {
+    const mockGraphqlClient = jest.fn().mockResolvedValueOnce({
+      organization: {
+        repositories: {
+          nodes: [{ name: 'repo1' }],
+          pageInfo: { endCursor: null, hasNextPage: false }
+        }
+      }
     });
 
-    const config = {
-      organization: 'test-org',
-      token: 'test-token',
-      days: 30,
-      graphqlClient: mockGraphqlClient,
-      color: 'blue',
-      labelColor: '555'
-    };
-
-    await expect(run(config)).rejects.toThrow('process.exit called');
-    expect(core.error).toHaveBeenCalled();
+    const badgeData = await collectBadges('test-org', 'token', 30, mockGraphqlClient, 'blue', '555', undefined, {
+      metrics: ['repositories']
+    });
 
-    mockExit.mockRestore();
+    expect(badgeData).toHaveLength(1);
+    expect(mockGraphqlClient).toHaveBeenCalledTimes(1);
   });
 });
 
-describe('initializeConfig', () => {
-  let getInputSpy;
-
+describe('badge links', () => {
   beforeEach(() => {
     jest.clearAllMocks();
-    getInputSpy = jest.spyOn(core, 'getInput');
   });
 
-  afterEach(() => {
-    getInputSpy.mockRestore();
-  });
+  const repositoriesResponse = {
+    organization: { repositories: { nodes: [], pageInfo: { endCursor: null, hasNextPage: false } } }
+  };
 
-  it('should throw error when organization is missing', () => {
-    getInputSpy.mockReturnValue('');
-    expect(() => initializeConfig()).toThrow('organization is required');
+  it('should not link badges by default', async () => {
+    const mockGraphqlClient = jest.fn().mockResolvedValueOnce(repositoriesResponse);
+
+    const badgeData = await collectBadges('test-org', 'token', 30, mockGraphqlClient, 'blue', '555');
+
+    expect(badgeData.some(badge => 'link' in badge)).toBe(false);
   });
 
-  it('should throw error when token is missing', () => {
-    getInputSpy.mockImplementation(name => {
-      if (name === 'organization') return 'test-org';
-      return '';
-    });
-    expect(() => initializeConfig()).toThrow('token is required');
+  it('should link badges to the data on the GitHub Enterprise Server host', async () => {
+    const mockGraphqlClient = jest.fn().mockResolvedValueOnce(repositoriesResponse);
+
+    const badgeData = await collectBadges(
+      'test-org',
+      'token',
+      30,
+      mockGraphqlClient,
+      'blue',
+      '555',
+      'https://ghes.example.com/api/graphql',
+      { links: true }
+    );
+
+    expect(badgeData[0].link).toBe('https://ghes.example.com/orgs/test-org/repositories');
+    expect(badgeData[1].link).toMatch(
+      /^https:\/\/ghes\.example\.com\/search\?q=org%3Atest-org\+is%3Apr\+created%3A%3E%3D\d{4}-\d{2}-\d{2}T[\d%A]+Z&type=pullrequests$/
+    );
+    expect(badgeData[2].link).toContain('+is%3Amerged+merged%3A%3E%3D');
   });
 
-  it('should return config with default values when inputs provided', () => {
-    getInputSpy.mockImplementation(name => {
-      if (name === 'organization') return 'test-org';
-      if (name === 'token') return 'test-token';
-      return '';
+  it('should use per-metric templates even when links are disabled', async () => {
+    const mockGraphqlClient = jest.fn().mockResolvedValueOnce(repositoriesResponse);
+
+    const badgeData = await collectBadges('test-org', 'token', 30, mockGraphqlClient, 'blue', '555', undefined, {
+      metrics: ['repositories'],
+      linkTemplates: { repositories: 'https://example.com/{org}?from={since}' }
     });
 
-    const config = initializeConfig();
+    expect(badgeData[0].link).toBe('https://example.com/test-org?from={since}');
+  });
+});
+
+describe('color thresholds', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should color the generated badges by value', async () => {
+    const mockGraphqlClient = jest.fn().mockResolvedValueOnce({
+      organization: { repositories: { nodes: [], pageInfo: { endCursor: null, hasNextPage: false } } }
+    });
+
+    const badges = await generateBadges('test-org', 'token', 30, mockGraphqlClient, 'blue', '555', undefined, {
+      colorThresholds: parseColorThresholds('pull_requests_merged: red<10, green')
+    });
+
+    expect(badges[0]).toContain('-0-blue?');
+    expect(badges[2]).toContain('-0-red?');
+  });
+});
+
+describe('metric colors', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should override the color of the configured metrics', async () => {
+    const mockGraphqlClient = jest.fn().mockResolvedValueOnce({
+      organization: { repositories: { nodes: [], pageInfo: { endCursor: null, hasNextPage: false } } }
+    });
+
+    const badgeData = await collectBadges('test-org', 'token', 30, mockGraphqlClient, 'blue', '555', undefined, {
+      metricColors: { pull_requests_merged: 'purple' }
+    });
+
+    expect(badgeData.map(badge => badge.color)).toEqual(['blue', 'blue', 'purple']);
+  });
+});
+
+describe('issue metrics', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should render issue badges aggregated across repositories', async () => {
+    const recent = new Date().toISOString();
+    const mockGraphqlClient = jest.fn().mockImplementation(query => {
+      if (query.includes('organization (login')) {
+        return Promise.resolve({
+          organization: {
+            repositories: {
+              nodes: [{ name: 'repo1' }, { name: 'repo2' }],
+              pageInfo: { endCursor: null, hasNextPage: false }
+            }
+          }
+        });
+      }
+      return Promise.resolve({
+        repository: {
+          openIssues: { totalCount: 2 },
+          issues: {
+            nodes: [{ createdAt: recent, closedAt: recent, state: 'CLOSED' }],
+            pageInfo: { endCursor: null, hasNextPage: false }
+          }
+        }
+      });
+    });
+
+    const badgeData = await collectBadges('test-org', 'token', 30, mockGraphqlClient, 'blue', '555', undefined, {
+      metrics: ['issues_opened', 'issues_closed', 'issues_open']
+    });
+
+    expect(badgeData.map(badge => [badge.label, badge.message])).toEqual([
+      ['Issues opened in last 30 days', 2],
+      ['Issues closed in last 30 days', 2],
+      ['Open issues', 4]
+    ]);
+    // One repository query plus one issue query per repository, shared by the three metrics
+    expect(mockGraphqlClient).toHaveBeenCalledTimes(3);
+    expect(core.info).toHaveBeenCalledWith('Total open issues for test-org: 4');
+  });
+});
+
+describe('contributors metric', () => {
+  const recent = new Date().toISOString();
+  const createClient = () =>
+    jest.fn().mockImplementation(query => {
+      if (query.includes('organization (login')) {
+        return Promise.resolve({
+          organization: {
+            repositories: {
+              nodes: [{ name: 'repo1' }],
+              pageInfo: { endCursor: null, hasNextPage: false }
+            }
+          }
+        });
+      }
+      return Promise.resolve({
+        repository: {
+          pullRequests: {
+            nodes: [
+              { createdAt: recent, mergedAt: null, state: 'OPEN', author: { login: 'octocat', __typename: 'User' } },
+              { createdAt: recent, mergedAt: null, state: 'OPEN', author: { login: 'renovate', __typename: 'Bot' } },
+              { createdAt: recent, mergedAt: null, state: 'OPEN', author: { login: 'ci-robot', __typename: 'User' } },
+              { createdAt: recent, mergedAt: null, state: 'OPEN', author: null }
+            ],
+            pageInfo: { endCursor: null, hasNextPage: false }
+          }
+        }
+      });
+    });
+
+  it('should exclude bot accounts by default', async () => {
+    const badgeData = await collectBadges('test-org', 'token', 30, createClient(), 'blue', '555', undefined, {
+      metrics: ['contributors']
+    });
+
+    expect(badgeData).toEqual([
+      expect.objectContaining({ metric: 'contributors', label: 'Contributors in last 30 days', message: 2 })
+    ]);
+  });
+
+  it('should use the configured exclusion list', async () => {
+    const badgeData = await collectBadges('test-org', 'token', 30, createClient(), 'blue', '555', undefined, {
+      metrics: ['contributors'],
+      excludeContributors: ['*[bot]', 'ci-*']
+    });
+
+    expect(badgeData[0].message).toBe(1);
+  });
+});
+
+describe('automated pull request metrics', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should render separate badges for PRs by excluded authors', async () => {
+    const recent = new Date().toISOString();
+    const mockGraphqlClient = jest.fn().mockImplementation(query => {
+      if (query.includes('organization (login')) {
+        return Promise.resolve({
+          organization: {
+            repositories: {
+              nodes: [{ name: 'repo1' }],
+              pageInfo: { endCursor: null, hasNextPage: false }
+            }
+          }
+        });
+      }
+      return Promise.resolve({
+        repository: {
+          pullRequests: {
+            nodes: [
+              {
+                createdAt: recent,
+                mergedAt: recent,
+                state: 'MERGED',
+                author: { login: 'dependabot', __typename: 'Bot' }
+              },
+              { createdAt: recent, mergedAt: recent, state: 'MERGED', author: { login: 'octocat', __typename: 'User' } }
+            ],
+            pageInfo: { endCursor: null, hasNextPage: false }
+          }
+        }
+      });
+    });
+
+    const badgeData = await collectBadges('test-org', 'token', 30, mockGraphqlClient, 'blue', '555', undefined, {
+      metrics: ['pull_requests_merged', 'automated_pull_requests_created', 'automated_pull_requests_merged'],
+      excludeAuthors: ['*[bot]']
+    });
+
+    expect(badgeData.map(badge => [badge.label, badge.message])).toEqual([
+      ['Merged PRs in last 30 days', 1],
+      ['Automated PRs created in last 30 days', 1],
+      ['Automated merged PRs in last 30 days', 1]
+    ]);
+    expect(core.info).toHaveBeenCalledWith('Excluded pull requests by *[bot]: 1 created, 1 merged');
+  });
+});
+
+describe('languages metric', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should render a badge per top language using the language colors', async () => {
+    const mockGraphqlClient = jest.fn().mockResolvedValue({
+      organization: {
+        repositories: {
+          nodes: [
+            {
+              name: 'repo1',
+              languages: {
+                edges: [
+                  { size: 60, node: { name: 'C#', color: '#178600' } },
+                  { size: 30, node: { name: 'C++', color: '#f34b7d' } },
+                  { size: 10, node: { name: 'Dockerfile', color: null } }
+                ]
+              }
+            }
+          ],
+          pageInfo: { endCursor: null, hasNextPage: false }
+        }
+      }
+    });
+
+    const badgeData = await collectBadges('test-org', 'token', 30, mockGraphqlClient, 'blue', '555', undefined, {
+      metrics: ['repositories', 'languages'],
+      topLanguages: 3
+    });
+
+    expect(badgeData).toEqual([
+      expect.objectContaining({ metric: 'repositories', message: 1 }),
+      { metric: 'languages', key: 'language-csharp', label: 'C#', message: '60%', color: '178600', labelColor: '555' },
+      {
+        metric: 'languages',
+        key: 'language-cplusplus',
+        label: 'C++',
+        message: '30%',
+        color: 'f34b7d',
+        labelColor: '555'
+      },
+      {
+        metric: 'languages',
+        key: 'language-dockerfile',
+        label: 'Dockerfile',
+        message: '10%',
+        color: 'blue',
+        labelColor: '555'
+      }
+    ]);
+    expect(mockGraphqlClient).toHaveBeenCalledWith(
+      expect.any(String),
+      expect.objectContaining({ includeLanguages: true, languageCount: 10 })
+    );
+  });
+
+  it('should not request languages when the metric is not selected', async () => {
+    const mockGraphqlClient = jest.fn().mockResolvedValue({
+      organization: {
+        repositories: {
+          nodes: [],
+          pageInfo: { endCursor: null, hasNextPage: false }
+        }
+      }
+    });
+
+    await collectBadges('test-org', 'token', 30, mockGraphqlClient, 'blue', '555', undefined, {
+      metrics: ['repositories']
+    });
+
+    expect(mockGraphqlClient).toHaveBeenCalledWith(
+      expect.any(String),
+      expect.objectContaining({ includeLanguages: false })
+    );
+  });
+
+  it('should name SVG files after the badge key', () => {
+    const { files } = renderBadges(
+      [
+        { metric: 'languages', key: 'language-csharp', label: 'C#', message: '60%', color: '178600', labelColor: '555' }
+      ],
+      { renderer: 'svg', svgDirectory: 'badges' }
+    );
+    expect(files[0].path).toBe(path.join('badges', 'language-csharp.svg'));
+  });
+});
+
+describe('star and fork metrics', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should total stars and forks and only query stargazers of starred repositories', async () => {
+    const mockGraphqlClient = jest.fn().mockImplementation((query, variables) => {
+      if (query.includes('organization (login')) {
+        return Promise.resolve({
+          organization: {
+            repositories: {
+              nodes: [
+                { name: 'repo1', stargazerCount: 10, forkCount: 3 },
+                { name: 'repo2', stargazerCount: 0, forkCount: 1 }
+              ],
+              pageInfo: { endCursor: null, hasNextPage: false }
+            }
+          }
+        });
+      }
+      expect(variables.repo).toBe('repo1');
+      return Promise.resolve({
+        repository: {
+          stargazers: {
+            edges: [{ starredAt: new Date().toISOString() }],
+            pageInfo: { endCursor: null, hasNextPage: false }
+          }
+        }
+      });
+    });
+
+    const badgeData = await collectBadges('test-org', 'token', 30, mockGraphqlClient, 'blue', '555', undefined, {
+      metrics: ['stars', 'forks', 'stars_gained']
+    });
+
+    expect(badgeData.map(badge => [badge.label, badge.message])).toEqual([
+      ['Total stars', 10],
+      ['Total forks', 4],
+      ['Stars gained in last 30 days', 1]
+    ]);
+    expect(mockGraphqlClient).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('repository filters', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should apply the filters to the repository count and the pull request scan', async () => {
+    const mockGraphqlClient = jest.fn().mockImplementation((query, variables) => {
+      if (query.includes('organization (login')) {
+        return Promise.resolve({
+          organization: {
+            repositories: {
+              nodes: [
+                { name: 'app', isArchived: false },
+                { name: 'old-app', isArchived: true }
+              ],
+              pageInfo: { endCursor: null, hasNextPage: false }
+            }
+          }
+        });
+      }
+      expect(variables.repo).toBe('app');
+      return Promise.resolve({
+        repository: {
+          pullRequests: {
+            nodes: [],
+            pageInfo: { endCursor: null, hasNextPage: false }
+          }
+        }
+      });
+    });
+
+    const badgeData = await collectBadges('test-org', 'token', 30, mockGraphqlClient, 'blue', '555', undefined, {
+      repositoryFilters: { includeArchived: false }
+    });
+
+    expect(badgeData[0].message).toBe(1);
+    expect(mockGraphqlClient).toHaveBeenCalledTimes(2);
+    expect(core.info).toHaveBeenCalledWith('Excluded 1 of 2 repositories by repository filters');
+  });
+});
+
+describe('getSearchCount', () => {
+  it('should return the issue count of the search', async () => {
+    const mockGraphqlClient = jest.fn().mockResolvedValue({ search: { issueCount: 42 } });
+
+    const count = await getSearchCount('org:test-org is:pr', mockGraphqlClient);
+
+    expect(count).toBe(42);
+    expect(mockGraphqlClient).toHaveBeenCalledWith(expect.stringContaining('type: ISSUE'), {
+      query: 'org:test-org is:pr'
+    });
+  });
+});
+
+describe('countSearchResults', () => {
+  it('should query the whole range when the count is within the search limit', async () => {
+    const mockGraphqlClient = jest.fn().mockResolvedValue({ search: { issueCount: 250 } });
+
+    const count = await countSearchResults(
+      'org:test-org is:pr',
+      'created',
+      '2026-01-01T00:00:00.500Z',
+      '2026-01-31T00:00:00Z',
+      mockGraphqlClient
+    );
+
+    expect(count).toBe(250);
+    expect(mockGraphqlClient).toHaveBeenCalledTimes(1);
+    expect(mockGraphqlClient.mock.calls[0][1].query).toBe(
+      'org:test-org is:pr created:2026-01-01T00:00:00Z..2026-01-31T00:00:00Z'
+    );
+  });
+
+  it('should split the range while the count exceeds the search limit', async () => {
+    const mockGraphqlClient = jest.fn().mockImplementation((query, { query: search }) => {
+      if (search.endsWith('2026-01-01T00:00:00Z..2026-01-03T00:00:00Z')) {
+        return Promise.resolve({ search: { issueCount: 1500 } });
+      }
+      return Promise.resolve({ search: { issueCount: 750 } });
+    });
+
+    const count = await countSearchResults(
+      'org:test-org is:pr',
+      'created',
+      '2026-01-01T00:00:00Z',
+      '2026-01-03T00:00:00Z',
+      mockGraphqlClient
+    );
+
+    expect(count).toBe(1500);
+    expect(mockGraphqlClient.mock.calls.map(([, variables]) => variables.query)).toEqual([
+      'org:test-org is:pr created:2026-01-01T00:00:00Z..2026-01-03T00:00:00Z',
+      'org:test-org is:pr created:2026-01-01T00:00:00Z..2026-01-02T00:00:00Z',
+      'org:test-org is:pr created:2026-01-02T00:00:01Z..2026-01-03T00:00:00Z'
+    ]);
+  });
+
+  it('should stop splitting once the range is shorter than a minute', async () => {
+    const mockGraphqlClient = jest.fn().mockResolvedValue({ search: { issueCount: 5000 } });
+
+    const count = await countSearchResults(
+      'org:test-org is:pr',
+      'created',
+      '2026-01-01T00:00:00Z',
+      '2026-01-01T00:00:30Z',
+      mockGraphqlClient
+    );
+
+    expect(count).toBe(5000);
+    expect(mockGraphqlClient).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('getPullRequestSearchCounts', () => {
+  it('should count created and merged pull requests', async () => {
+    const mockGraphqlClient = jest
+      .fn()
+      .mockImplementation((query, { query: search }) =>
+        Promise.resolve({ search: { issueCount: search.includes('is:merged') ? 7 : 12 } })
+      );
+
+    const counts = await getPullRequestSearchCounts('test-org', '2026-01-01T00:00:00Z', mockGraphqlClient);
+
+    expect(counts).toEqual({ totalOpenPRs: 12, totalMergedPRs: 7 });
+    const searches = mockGraphqlClient.mock.calls.map(([, variables]) => variables.query);
+    expect(searches[0]).toMatch(/^org:test-org is:pr created:2026-01-01T00:00:00Z\.\./);
+    expect(searches[1]).toMatch(/^org:test-org is:pr is:merged merged:2026-01-01T00:00:00Z\.\./);
+  });
+
+  it('should exclude archived repositories with a search qualifier', async () => {
+    const mockGraphqlClient = jest.fn().mockResolvedValue({ search: { issueCount: 1 } });
+
+    await getPullRequestSearchCounts('test-org', '2026-01-01T00:00:00Z', mockGraphqlClient, {
+      includeArchived: false
+    });
+
+    expect(mockGraphqlClient.mock.calls[0][1].query).toMatch(/^org:test-org is:pr archived:false created:/);
+  });
+
+  it('should search each organization on its own and add up the counts', async () => {
+    const mockGraphqlClient = jest
+      .fn()
+      .mockImplementation((query, { query: search }) =>
+        Promise.resolve({ search: { issueCount: search.startsWith('org:org-a') ? 2 : 5 } })
+      );
+
+    const counts = await getPullRequestSearchCounts(['org-a', 'org-b'], '2026-01-01T00:00:00Z', mockGraphqlClient);
+
+    expect(counts).toEqual({ totalOpenPRs: 7, totalMergedPRs: 7 });
+    const searches = mockGraphqlClient.mock.calls.map(([, variables]) => variables.query);
+    expect(searches).toHaveLength(4);
+    expect(searches[0]).toMatch(/^org:org-a is:pr created:/);
+    expect(searches[2]).toMatch(/^org:org-b is:pr created:/);
+  });
+
+  it('should search user accounts with the user qualifier', async () => {
+    const mockGraphqlClient = jest.fn().mockResolvedValue({ search: { issueCount: 1 } });
+
+    await getPullRequestSearchCounts(['org-a', 'octocat'], '2026-01-01T00:00:00Z', mockGraphqlClient, {
+      users: ['octocat']
+    });
+
+    expect(mockGraphqlClient.mock.calls[0][1].query).toMatch(/^org:org-a is:pr created:/);
+    expect(mockGraphqlClient.mock.calls[2][1].query).toMatch(/^user:octocat is:pr created:/);
+  });
+});
+
+describe('getEnterpriseOrganizations', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should return the organizations of every page', async () => {
+    const mockGraphqlClient = jest
+      .fn()
+      .mockResolvedValueOnce({
+        enterprise: {
+          organizations: { nodes: [{ login: 'org-a' }], pageInfo: { endCursor: 'cursor1', hasNextPage: true } }
+        }
+      })
+      .mockResolvedValueOnce({
+        enterprise: {
+          organizations: { nodes: [{ login: 'org-b' }], pageInfo: { endCursor: null, hasNextPage: false } }
+        }
+      });
+
+    expect(await getEnterpriseOrganizations('acme', mockGraphqlClient)).toEqual(['org-a', 'org-b']);
+    expect(mockGraphqlClient).toHaveBeenLastCalledWith(expect.stringContaining('enterprise (slug: $enterprise)'), {
+      enterprise: 'acme',
+      after: 'cursor1'
+    });
+    expect(core.info).toHaveBeenCalledWith('Found 2 organizations in enterprise acme: org-a, org-b');
+  });
+
+  it('should throw when the enterprise cannot be read', async () => {
+    const mockGraphqlClient = jest.fn().mockResolvedValue({ enterprise: null });
+
+    await expect(getEnterpriseOrganizations('acme', mockGraphqlClient)).rejects.toThrow(
+      `Enterprise 'acme' was not found or can't be read with the token`
+    );
+  });
+
+  it('should throw when the enterprise has no organizations', async () => {
+    const mockGraphqlClient = jest.fn().mockResolvedValue({
+      enterprise: { organizations: { nodes: [], pageInfo: { endCursor: null, hasNextPage: false } } }
+    });
+
+    await expect(getEnterpriseOrganizations('acme', mockGraphqlClient)).rejects.toThrow(
+      `Enterprise 'acme' has no organizations`
+    );
+  });
+});
+
+describe('getOwnerType', () => {
+  it('should tell user accounts from organizations', async () => {
+    const mockGraphqlClient = jest
+      .fn()
+      .mockResolvedValueOnce({ repositoryOwner: { __typename: 'User' } })
+      .mockResolvedValueOnce({ repositoryOwner: { __typename: 'Organization' } });
+
+    expect(await getOwnerType('octocat', mockGraphqlClient)).toBe('User');
+    expect(await getOwnerType('github', mockGraphqlClient)).toBe('Organization');
+    expect(mockGraphqlClient).toHaveBeenCalledWith(expect.stringContaining('repositoryOwner(login: $login)'), {
+      login: 'octocat'
+    });
+  });
+});
+
+describe('getUserRepositories', () => {
+  const page = (nodes, hasNextPage = false) => ({
+    user: { repos: { nodes, pageInfo: { endCursor: hasNextPage ? 'cursor1' : null, hasNextPage } } }
+  });
+  const repo = (owner, name) => ({ name, owner: { login: owner } });
+
+  it('should return the repositories the user owns', async () => {
+    const mockGraphqlClient = jest
+      .fn()
+      .mockResolvedValueOnce(page([repo('octocat', 'hello-world')], true))
+      .mockResolvedValueOnce(page([repo('octocat', 'spoon-knife')]));
+
+    const repos = await getUserRepositories('octocat', mockGraphqlClient);
+
+    expect(repos.map(({ name }) => name)).toEqual(['hello-world', 'spoon-knife']);
+    expect(mockGraphqlClient).toHaveBeenCalledTimes(2);
+    expect(mockGraphqlClient).toHaveBeenLastCalledWith(
+      expect.stringContaining('ownerAffiliations: OWNER'),
+      expect.objectContaining({ login: 'octocat', after: 'cursor1', includeLanguages: false })
+    );
+  });
+
+  it('should add the repositories the user contributed to once', async () => {
+    const mockGraphqlClient = jest
+      .fn()
+      .mockResolvedValueOnce(page([repo('octocat', 'hello-world')]))
+      .mockResolvedValueOnce(page([repo('github', 'docs'), repo('github', 'docs')]));
+
+    const repos = await getUserRepositories('octocat', mockGraphqlClient, { contributed: true });
+
+    expect(repos.map(({ owner, name }) => `${owner.login}/${name}`)).toEqual(['octocat/hello-world', 'github/docs']);
+    expect(mockGraphqlClient).toHaveBeenLastCalledWith(
+      expect.stringContaining('repositoriesContributedTo('),
+      expect.anything()
+    );
+  });
+});
+
+describe('user accounts', () => {
+  const recent = new Date().toISOString();
+  const notFound = Object.assign(new Error(`Could not resolve to an Organization with the login of 'octocat'.`), {
+    errors: [{ type: 'NOT_FOUND' }]
+  });
+  const createClient = () =>
+    jest.fn().mockImplementation((query, variables) => {
+      if (query.includes('organization (login')) {
+        return Promise.reject(notFound);
+      }
+      if (query.includes('repositoryOwner(login')) {
+        return Promise.resolve({ repositoryOwner: { __typename: 'User' } });
+      }
+      if (query.includes('repositoriesContributedTo(')) {
+        return Promise.resolve({
+          user: {
+            repos: {
+              nodes: [{ name: 'docs', owner: { login: 'github' } }],
+              pageInfo: { endCursor: null, hasNextPage: false }
+            }
+          }
+        });
+      }
+      if (query.includes('user (login')) {
+        return Promise.resolve({
+          user: {
+            repos: {
+              nodes: [{ name: 'hello-world', owner: { login: 'octocat' } }],
+              pageInfo: { endCursor: null, hasNextPage: false }
+            }
+          }
+        });
+      }
+      if (query.includes('search(')) {
+        return variables.query.startsWith('org:')
+          ? Promise.reject(Object.assign(new Error('The listed users cannot be searched'), { errors: [{}] }))
+          : Promise.resolve({ search: { issueCount: 4 } });
+      }
+      return Promise.resolve({
+        repository: {
+          pullRequests: {
+            nodes: [{ createdAt: recent, mergedAt: null, state: 'OPEN' }],
+            pageInfo: { endCursor: null, hasNextPage: false }
+          }
+        }
+      });
+    });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should count the repositories of a user account and link to them', async () => {
+    const badgeData = await collectBadges('octocat', 'token', 30, createClient(), 'blue', '555', undefined, {
+      metrics: ['repositories', 'pull_requests_created'],
+      links: true
+    });
+
+    expect(badgeData.map(badge => [badge.message, badge.link])).toEqual([
+      [1, 'https://github.com/octocat?tab=repositories'],
+      [1, expect.stringContaining('https://github.com/search?q=user%3Aoctocat+is%3Apr+created%3A')]
+    ]);
+    expect(core.info).toHaveBeenCalledWith('octocat is a user account, counting the repositories it owns');
+  });
+
+  it('should add the repositories the user contributed to', async () => {
+    const mockGraphqlClient = createClient();
+
+    const badgeData = await collectBadges('octocat', 'token', 30, mockGraphqlClient, 'blue', '555', undefined, {
+      metrics: ['repositories', 'pull_requests_created'],
+      userRepositories: 'contributed'
+    });
+
+    expect(badgeData.map(badge => badge.message)).toEqual([2, 2]);
+    expect(mockGraphqlClient).toHaveBeenCalledWith(
+      expect.stringContaining('pullRequests('),
+      expect.objectContaining({ org: 'github', repo: 'docs' })
+    );
+  });
+
+  it('should search the pull requests of a user account with the user qualifier', async () => {
+    const mockGraphqlClient = createClient();
+
+    const badgeData = await collectBadges('octocat', 'token', 30, mockGraphqlClient, 'blue', '555', undefined, {
+      metrics: ['pull_requests_created'],
+      pullRequestStrategy: 'search'
+    });
+
+    expect(badgeData[0].message).toBe(4);
+    expect(mockGraphqlClient).toHaveBeenCalledWith(
+      expect.stringContaining('search('),
+      expect.objectContaining({ query: expect.stringMatching(/^user:octocat is:pr created:/) })
+    );
+    expect(core.warning).not.toHaveBeenCalled();
+  });
+});
+
+describe('multiple organizations', () => {
+  const recent = new Date().toISOString();
+  const pullRequest = (login, merged) => ({
+    createdAt: recent,
+    mergedAt: merged ? recent : null,
+    state: merged ? 'MERGED' : 'OPEN',
+    author: { login, __typename: 'User' }
+  });
+  const repositories = { 'org-a': [{ name: 'web' }], 'org-b': [{ name: 'api' }, { name: 'docs' }] };
+  const createClient = () =>
+    jest.fn().mockImplementation((query, variables) => {
+      if (query.includes('organization (login')) {
+        return Promise.resolve({
+          organization: {
+            repositories: {
+              nodes: repositories[variables.organization],
+              pageInfo: { endCursor: null, hasNextPage: false }
+            }
+          }
+        });
+      }
+      const nodes =
+        variables.org === 'org-a'
+          ? [pullRequest('octocat', false), pullRequest('hubot', false)]
+          : [pullRequest('octocat', true)];
+      return Promise.resolve({
+        repository: { pullRequests: { nodes, pageInfo: { endCursor: null, hasNextPage: false } } }
+      });
+    });
+  const metrics = ['repositories', 'pull_requests_created', 'pull_requests_merged', 'contributors'];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should combine the totals and count each contributor once', async () => {
+    const mockGraphqlClient = createClient();
+
+    const badgeData = await collectBadges(
+      ['org-a', 'org-b'],
+      'token',
+      30,
+      mockGraphqlClient,
+      'blue',
+      '555',
+      undefined,
+      {
+        metrics
+      }
+    );
+
+    expect(badgeData.map(badge => [badge.label, badge.message])).toEqual([
+      ['Total repositories', 3],
+      ['PRs created in last 30 days', 4],
+      ['Merged PRs in last 30 days', 2],
+      ['Contributors in last 30 days', 2]
+    ]);
+    expect(badgeData.some(badge => 'organization' in badge)).toBe(false);
+    expect(core.info).toHaveBeenCalledWith('Total repositories for org-a, org-b: 3');
+  });
+
+  it('should add the badges of each organization without scanning again', async () => {
+    const mockGraphqlClient = createClient();
+
+    const badgeData = await collectBadges(
+      ['org-a', 'org-b'],
+      'token',
+      30,
+      mockGraphqlClient,
+      'blue',
+      '555',
+      undefined,
+      {
+        metrics: ['repositories', 'contributors'],
+        perOrganization: true,
+        labels: { contributors: '{org} contributors' }
+      }
+    );
+
+    expect(badgeData.map(badge => [badge.key, badge.label, badge.message, badge.organization])).toEqual([
+      [undefined, 'Total repositories', 3, undefined],
+      [undefined, 'org-a, org-b contributors', 2, undefined],
+      ['org-a-repositories', 'org-a: Total repositories', 1, 'org-a'],
+      ['org-a-contributors', 'org-a contributors', 2, 'org-a'],
+      ['org-b-repositories', 'org-b: Total repositories', 2, 'org-b'],
+      ['org-b-contributors', 'org-b contributors', 1, 'org-b']
+    ]);
+    // One repository query per organization and one pull request query per repository
+    expect(mockGraphqlClient).toHaveBeenCalledTimes(5);
+  });
+
+  it('should name combined badges after the enterprise and only link single organizations', async () => {
+    const badgeData = await collectBadges(['org-a', 'org-b'], 'token', 30, createClient(), 'blue', '555', undefined, {
+      metrics: ['repositories'],
+      perOrganization: true,
+      enterprise: 'acme',
+      links: true,
+      labels: { repositories: 'Repositories of {org}' }
+    });
+
+    expect(badgeData.map(badge => [badge.label, badge.link])).toEqual([
+      ['Repositories of acme', undefined],
+      ['Repositories of org-a', 'https://github.com/orgs/org-a/repositories'],
+      ['Repositories of org-b', 'https://github.com/orgs/org-b/repositories']
+    ]);
+  });
+
+  it('should render the badges of each organization in a new row', () => {
+    const badgeData = [
+      { label: 'Repos', message: 3, color: 'blue', labelColor: '555' },
+      { label: 'Stars', message: 5, color: 'blue', labelColor: '555' },
+      { label: 'org-a: Repos', message: 1, color: 'blue', labelColor: '555', organization: 'org-a' },
+      { label: 'org-b: Repos', message: 2, color: 'blue', labelColor: '555', organization: 'org-b' }
+    ];
+
+    const markdown = renderBadges(badgeData).content.split('\n\n');
+    expect(markdown).toHaveLength(3);
+    expect(markdown[0].split(' ![')).toHaveLength(2);
+    expect(renderBadges(badgeData, { format: 'html' }).content.split('<br>\n')).toHaveLength(3);
+    expect(JSON.parse(renderBadges(badgeData, { format: 'json' }).content)[2].organization).toBe('org-a');
+  });
+});
+
+describe('getSearchFallbackReason', () => {
+  it('should allow search for the default options', () => {
+    expect(
+      getSearchFallbackReason({
+        metrics: ['repositories', 'pull_requests_created'],
+        excludeAuthors: [],
+        repositoryFilters: { includeArchived: false, includeForks: true, includeTemplates: true }
+      })
+    ).toBeNull();
+  });
+
+  it.each([
+    [{ metrics: ['pull_requests_merged', 'contributors'] }, 'the contributors metrics read individual pull requests'],
+    [{ excludeAuthors: ['*[bot]'] }, `'exclude_authors' cannot be applied to search results`],
+    [{ repositoryFilters: { topics: ['service'] } }, 'repository filters other than archived cannot be applied'],
+    [{ repositoryFilters: { includeForks: false } }, 'repository filters other than archived cannot be applied']
+  ])('should explain why %p needs the repository scan', (options, reason) => {
+    expect(getSearchFallbackReason(options)).toContain(reason);
+  });
+});
+
+describe('pull request search strategy', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const repositoriesResponse = {
+    organization: {
+      repositories: {
+        nodes: [{ name: 'repo1' }],
+        pageInfo: { endCursor: null, hasNextPage: false }
+      }
+    }
+  };
+  const pullRequestsResponse = {
+    repository: {
+      pullRequests: {
+        nodes: [{ createdAt: new Date().toISOString(), mergedAt: null, state: 'OPEN' }],
+        pageInfo: { endCursor: null, hasNextPage: false }
+      }
+    }
+  };
+
+  it('should count pull requests with the search API', async () => {
+    const mockGraphqlClient = jest.fn().mockImplementation((query, variables) => {
+      if (query.includes('search(')) {
+        return Promise.resolve({ search: { issueCount: variables.query.includes('is:merged') ? 3 : 8 } });
+      }
+      return Promise.resolve(repositoriesResponse);
+    });
+
+    const badgeData = await collectBadges('test-org', 'token', 30, mockGraphqlClient, 'blue', '555', undefined, {
+      pullRequestStrategy: 'search'
+    });
+
+    expect(badgeData.map(badge => badge.message)).toEqual([1, 8, 3]);
+    expect(mockGraphqlClient).not.toHaveBeenCalledWith(expect.stringContaining('pullRequests('), expect.anything());
+    expect(core.info).toHaveBeenCalledWith('Total pull requests created in last 30 days for test-org: 8');
+    expect(core.warning).not.toHaveBeenCalled();
+  });
+
+  it('should fall back to the repository scan when options cannot be searched', async () => {
+    const mockGraphqlClient = jest.fn().mockImplementation(query => {
+      if (query.includes('organization (login')) {
+        return Promise.resolve(repositoriesResponse);
+      }
+      return Promise.resolve(pullRequestsResponse);
+    });
+
+    const badgeData = await collectBadges('test-org', 'token', 30, mockGraphqlClient, 'blue', '555', undefined, {
+      metrics: ['pull_requests_created'],
+      excludeAuthors: ['*[bot]'],
+      pullRequestStrategy: 'search'
+    });
+
+    expect(badgeData[0].message).toBe(1);
+    expect(mockGraphqlClient).not.toHaveBeenCalledWith(expect.stringContaining('search('), expect.anything());
+    expect(core.warning).toHaveBeenCalledWith(
+      `Counting pull requests by scanning repositories because 'exclude_authors' cannot be applied to search results`
+    );
+  });
+
+  it('should fall back to the repository scan when the search fails', async () => {
+    const mockGraphqlClient = jest.fn().mockImplementation(query => {
+      if (query.includes('search(')) {
+        return Promise.reject(new Error('Search is unavailable'));
+      }
+      if (query.includes('organization (login')) {
+        return Promise.resolve(repositoriesResponse);
+      }
+      return Promise.resolve(pullRequestsResponse);
+    });
+
+    const badgeData = await collectBadges('test-org', 'token', 30, mockGraphqlClient, 'blue', '555', undefined, {
+      metrics: ['pull_requests_created'],
+      pullRequestStrategy: 'search'
+    });
+
+    expect(badgeData[0].message).toBe(1);
+    expect(core.warning).toHaveBeenCalledWith(
+      'Search-based pull request counting failed, scanning repositories instead: Search is unavailable'
+    );
+  });
+});
+
+describe('multiple windows', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+  it('should render one badge per window from a single scan', async () => {
+    const mockGraphqlClient = jest.fn().mockImplementation(query => {
+      if (query.includes('organization (login')) {
+        return Promise.resolve({
+          organization: {
+            repositories: {
+              nodes: [{ name: 'repo1' }],
+              pageInfo: { endCursor: null, hasNextPage: false }
+            }
+          }
+        });
+      }
+      return Promise.resolve({
+        repository: {
+          pullRequests: {
+            nodes: [
+              { createdAt: daysAgo(2), mergedAt: daysAgo(1), state: 'MERGED' },
+              { createdAt: daysAgo(20), mergedAt: null, state: 'OPEN' },
+              { createdAt: daysAgo(60), mergedAt: daysAgo(50), state: 'MERGED' }
+            ],
+            pageInfo: { endCursor: null, hasNextPage: false }
+          }
+        }
+      });
+    });
+
+    const badgeData = await collectBadges('test-org', 'token', 7, mockGraphqlClient, 'blue', '555', undefined, {
+      metrics: ['repositories', 'pull_requests_created', 'pull_requests_merged'],
+      windows: [7, 30, 90]
+    });
+
+    expect(badgeData.map(badge => [badge.key, badge.label, badge.message])).toEqual([
+      [undefined, 'Total repositories', 1],
+      [undefined, 'PRs created in last 7 days', 1],
+      ['pull_requests_created-30d', 'PRs created in last 30 days', 2],
+      ['pull_requests_created-90d', 'PRs created in last 90 days', 3],
+      [undefined, 'Merged PRs in last 7 days', 1],
+      ['pull_requests_merged-30d', 'Merged PRs in last 30 days', 1],
+      ['pull_requests_merged-90d', 'Merged PRs in last 90 days', 2]
+    ]);
+    expect(mockGraphqlClient).toHaveBeenCalledTimes(2);
+  });
+
+  it('should count stars gained per window', async () => {
+    const mockGraphqlClient = jest.fn().mockImplementation(query => {
+      if (query.includes('organization (login')) {
+        return Promise.resolve({
+          organization: {
+            repositories: {
+              nodes: [{ name: 'repo1', stargazerCount: 3 }],
+              pageInfo: { endCursor: null, hasNextPage: false }
+            }
+          }
+        });
+      }
+      return Promise.resolve({
+        repository: {
+          stargazers: {
+            edges: [{ starredAt: daysAgo(1) }, { starredAt: daysAgo(10) }, { starredAt: daysAgo(100) }],
+            pageInfo: { endCursor: null, hasNextPage: false }
+          }
+        }
+      });
+    });
+
+    const badgeData = await collectBadges('test-org', 'token', 7, mockGraphqlClient, 'blue', '555', undefined, {
+      metrics: ['stars_gained'],
+      windows: [7, 30]
+    });
+
+    expect(badgeData.map(badge => badge.message)).toEqual([1, 2]);
+    expect(mockGraphqlClient).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('startOfZonedMonth', () => {
+  it('should return midnight UTC for the UTC time zone', () => {
+    expect(startOfZonedMonth(2026, 8, 'UTC').toISOString()).toBe('2026-09-01T00:00:00.000Z');
+  });
+
+  it('should return local midnight in other time zones', () => {
+    expect(startOfZonedMonth(2026, 0, 'America/New_York').toISOString()).toBe('2026-01-01T05:00:00.000Z');
+    expect(startOfZonedMonth(2026, 6, 'America/New_York').toISOString()).toBe('2026-07-01T04:00:00.000Z');
+    expect(startOfZonedMonth(2026, 3, 'Asia/Tokyo').toISOString()).toBe('2026-03-31T15:00:00.000Z');
+  });
+
+  it('should roll months over into other years', () => {
+    expect(startOfZonedMonth(2026, -1, 'UTC').toISOString()).toBe('2025-12-01T00:00:00.000Z');
+  });
+});
+
+describe('resolveWindow', () => {
+  const now = new Date('2026-08-15T12:00:00Z');
+
+  it('should resolve a number of days to a rolling window', () => {
+    expect(resolveWindow(30, { now })).toEqual({
+      key: '30d',
+      days: 30,
+      since: '2026-07-16T12:00:00.000Z',
+      until: null,
+      phrase: 'in last 30 days'
+    });
+  });
+
+  it.each([
+    ['last_month', '2026-07-01T00:00:00.000Z', '2026-08-01T00:00:00.000Z', 'in July 2026'],
+    ['month_to_date', '2026-08-01T00:00:00.000Z', null, 'in August 2026'],
+    ['quarter_to_date', '2026-07-01T00:00:00.000Z', null, 'in Q3 2026'],
+    ['year_to_date', '2026-01-01T00:00:00.000Z', null, 'in 2026']
+  ])('should resolve %s to a calendar period', (period, since, until, phrase) => {
+    expect(resolveWindow(period, { now })).toEqual({ key: period, since, until, phrase });
+  });
+
+  it('should resolve last month across a year boundary', () => {
+    const window = resolveWindow('last_month', { now: new Date('2026-01-10T00:00:00Z') });
+    expect(window.since).toBe('2025-12-01T00:00:00.000Z');
+    expect(window.phrase).toBe('in December 2025');
+  });
+
+  it('should align periods to the time zone', () => {
+    // Still July 31 in Los Angeles
+    const window = resolveWindow('month_to_date', {
+      now: new Date('2026-08-01T03:00:00Z'),
+      timeZone: 'America/Los_Angeles'
+    });
+    expect(window.since).toBe('2026-07-01T07:00:00.000Z');
+    expect(window.phrase).toBe('in July 2026');
+  });
+
+  it('should throw error for an unknown period', () => {
+    expect(() => resolveWindow('last_week', { now })).toThrow(`Unknown period 'last_week'`);
+  });
+});
+
+describe('formatPeriod', () => {
+  const now = new Date('2026-08-15T12:00:00Z');
+
+  it.each([
+    [30, 'en', 'in last 30 days'],
+    [30, 'de', 'in den letzten 30 Tagen'],
+    [30, 'ja', '過去30日間'],
+    ['last_month', 'de', 'im Juli 2026'],
+    ['last_month', 'ja', '2026年7月'],
+    ['quarter_to_date', 'de-CH', 'im 3. Quartal 2026'],
+    ['quarter_to_date', 'ja', '2026年第3四半期'],
+    ['year_to_date', 'de', 'im Jahr 2026'],
+    ['year_to_date', 'ja', '2026年']
+  ])('should describe %s in %s', (spec, locale, expected) => {
+    expect(formatPeriod(resolveWindow(spec, { now }), { locale })).toBe(expected);
+  });
+
+  it('should name the month in the time zone of the window', () => {
+    const timeZone = 'America/Los_Angeles';
+    const window = resolveWindow('month_to_date', { now: new Date('2026-08-01T03:00:00Z'), timeZone });
+    expect(formatPeriod(window, { locale: 'de', timeZone })).toBe('im Juli 2026');
+  });
+});
+
+describe('formatNumber', () => {
+  it.each([
+    [1234567, undefined, '1234567'],
+    [1234567, 'en', '1,234,567'],
+    [1234567, 'de', '1.234.567'],
+    [1234567, 'ja', '1,234,567'],
+    ['20%', 'de', '20%']
+  ])('should format %s in %s', (value, locale, expected) => {
+    expect(formatNumber(value, locale)).toBe(expected);
+  });
+
+  it.each([
+    [1234567, undefined, 'raw', '1234567'],
+    [1234567, 'de', 'raw', '1234567'],
+    [1234567, undefined, 'grouped', '1,234,567'],
+    [1234567, undefined, 'compact', '1.2M'],
+    [1234, 'en', 'compact', '1.2K'],
+    [999, 'en', 'compact', '999'],
+    [1234567, 'de', 'compact', '1,2\u00a0Mio.'],
+    ['20%', 'en', 'compact', '20%']
+  ])('should format %s in %s as %s', (value, locale, numberFormat, expected) => {
+    expect(formatNumber(value, locale, numberFormat)).toBe(expected);
+  });
+});
+
+describe('parseLabelTemplates', () => {
+  it('should parse one label per metric', () => {
+    expect(parseLabelTemplates('repositories: Repos of {org}\npull_requests_merged: Merged {period}')).toEqual({
+      repositories: 'Repos of {org}',
+      pull_requests_merged: 'Merged {period}'
+    });
+  });
+
+  it('should reject labels for language badges', () => {
+    expect(() => parseLabelTemplates('languages: {language}')).toThrow(
+      `Invalid 'labels' input: 'languages' badges are labeled with the language name`
+    );
+  });
+});
+
+describe('labels and locales', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const repositoriesResponse = {
+    organization: { repositories: { nodes: [], pageInfo: { endCursor: null, hasNextPage: false } } }
+  };
+
+  it('should use the labels of the locale pack', async () => {
+    const mockGraphqlClient = jest.fn().mockResolvedValueOnce(repositoriesResponse);
+
+    const badgeData = await collectBadges('test-org', 'token', 7, mockGraphqlClient, 'blue', '555', undefined, {
+      locale: 'de'
+    });
+
+    expect(badgeData.map(badge => badge.label)).toEqual([
+      'Repositorys gesamt',
+      'Erstellte PRs in den letzten 7 Tagen',
+      'Gemergte PRs in den letzten 7 Tagen'
+    ]);
+  });
+
+  it('should expand the label templates', async () => {
+    const mockGraphqlClient = jest.fn().mockResolvedValueOnce(repositoriesResponse);
+
+    const badgeData = await collectBadges('test-org', 'token', 7, mockGraphqlClient, 'blue', '555', undefined, {
+      locale: 'ja',
+      labels: { repositories: '{org} repos', pull_requests_merged: 'Merged ({days} days, {period})' }
+    });
+
+    expect(badgeData.map(badge => badge.label)).toEqual([
+      'test-org repos',
+      '過去7日間に作成されたPR',
+      'Merged (7 days, 過去7日間)'
+    ]);
+  });
+
+  it('should name SVG files after the metric for labels in any script', async () => {
+    const mockGraphqlClient = jest.fn().mockResolvedValueOnce(repositoriesResponse);
+
+    const badgeData = await collectBadges('test-org', 'token', 7, mockGraphqlClient, 'blue', '555', undefined, {
+      metrics: ['repositories', 'stars'],
+      locale: 'ja'
+    });
+    const { badges, files } = renderBadges(badgeData, { renderer: 'svg', locale: 'ja' });
+
+    expect(files.map(file => file.path)).toEqual([
+      path.join('badges', 'repositories.svg'),
+      path.join('badges', 'stars.svg')
+    ]);
+    expect(badges[1]).toBe('![スター総数](badges/stars.svg)');
+  });
+
+  it('should format the rendered numbers in the locale but keep the raw value', () => {
+    const badgeData = [{ label: 'Sterne', message: 12345, color: 'blue', labelColor: '555' }];
+
+    expect(renderBadges(badgeData, { locale: 'de' }).badges).toEqual([
+      '![Sterne](https://img.shields.io/badge/Sterne-12.345-blue?labelColor=555)'
+    ]);
+    expect(JSON.parse(renderBadges(badgeData, { locale: 'de', format: 'json' }).content)[0].value).toBe(12345);
+  });
+
+  it('should format every renderer with the number format', () => {
+    const badgeData = [{ metric: 'stars', label: 'Stars', message: 1234567, color: 'blue', labelColor: '555' }];
+
+    const svg = renderBadges(badgeData, { renderer: 'svg', numberFormat: 'compact', endpointDirectory: 'stats' });
+    expect(svg.files.map(file => file.content)).toEqual([
+      renderEndpointBadge('Stars', '1.2M', 'blue', '555'),
+      renderSvgBadge('Stars', '1.2M', 'blue', '555')
+    ]);
+    expect(JSON.parse(renderBadges(badgeData, { numberFormat: 'compact', format: 'json' }).content)[0].value).toBe(
+      1234567
+    );
+  });
+});
+
+describe('calendar periods', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers({ now: new Date('2026-08-15T12:00:00Z') });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should name the period in the labels and only count inside it', async () => {
+    const mockGraphqlClient = jest.fn().mockImplementation(query => {
+      if (query.includes('organization (login')) {
+        return Promise.resolve({
+          organization: {
+            repositories: {
+              nodes: [{ name: 'repo1' }],
+              pageInfo: { endCursor: null, hasNextPage: false }
+            }
+          }
+        });
+      }
+      return Promise.resolve({
+        repository: {
+          pullRequests: {
+            nodes: [
+              { createdAt: '2026-08-10T00:00:00Z', mergedAt: '2026-08-11T00:00:00Z', state: 'MERGED' },
+              { createdAt: '2026-07-10T00:00:00Z', mergedAt: '2026-07-11T00:00:00Z', state: 'MERGED' },
+              { createdAt: '2026-05-10T00:00:00Z', mergedAt: '2026-05-11T00:00:00Z', state: 'MERGED' }
+            ],
+            pageInfo: { endCursor: null, hasNextPage: false }
+          }
+        }
+      });
+    });
+
+    const badgeData = await collectBadges(
+      'test-org',
+      'token',
+      'last_month',
+      mockGraphqlClient,
+      'blue',
+      '555',
+      undefined,
+      {
+        metrics: ['pull_requests_merged'],
+        windows: ['last_month', 'quarter_to_date', 'year_to_date']
+      }
+    );
+
+    expect(badgeData.map(badge => [badge.key, badge.label, badge.message])).toEqual([
+      [undefined, 'Merged PRs in July 2026', 1],
+      ['pull_requests_merged-quarter_to_date', 'Merged PRs in Q3 2026', 2],
+      ['pull_requests_merged-year_to_date', 'Merged PRs in 2026', 3]
+    ]);
+  });
+});
+
+describe('createMetricContext', () => {
+  it('should only fetch repositories once', async () => {
+    const mockGraphqlClient = jest.fn().mockResolvedValue({
+      organization: {
+        repositories: {
+          nodes: [{ name: 'repo1' }],
+          pageInfo: { endCursor: null, hasNextPage: false }
+        }
+      }
+    });
+    const context = createMetricContext('test-org', mockGraphqlClient, 30);
+
+    await Promise.all([context.getRepositories(), context.getRepositories()]);
+
+    expect(mockGraphqlClient).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('parseList', () => {
+  it('should split comma and newline separated values', () => {
+    expect(parseList('a, b\nc,,\n d ')).toEqual(['a', 'b', 'c', 'd']);
+  });
+
+  it('should return an empty list for empty input', () => {
+    expect(parseList('')).toEqual([]);
+    expect(parseList(undefined)).toEqual([]);
+  });
+});
+
+describe('matchesPattern', () => {
+  it('should match exact values case-insensitively', () => {
+    expect(matchesPattern('Octocat', 'octocat')).toBe(true);
+    expect(matchesPattern('octocat', 'octo')).toBe(false);
+  });
+
+  it('should support * and ? wildcards', () => {
+    expect(matchesPattern('dependabot[bot]', '*[bot]')).toBe(true);
+    expect(matchesPattern('renovate[bot]', 'renovate*')).toBe(true);
+    expect(matchesPattern('repo-1', 'repo-?')).toBe(true);
+    expect(matchesPattern('repo-10', 'repo-?')).toBe(false);
+  });
+
+  it('should treat regular expression characters literally', () => {
+    expect(matchesPattern('botbot', '*[bot]')).toBe(false);
+    expect(matchesPattern('a.b', 'a.b')).toBe(true);
+    expect(matchesPattern('axb', 'a.b')).toBe(false);
+  });
+});
+
+describe('matchesAnyPattern', () => {
+  it('should match when any pattern matches', () => {
+    expect(matchesAnyPattern('renovate[bot]', ['octocat', '*[bot]'])).toBe(true);
+    expect(matchesAnyPattern('octocat', [])).toBe(false);
+  });
+});
+
+describe('getAuthorLogin', () => {
+  it('should return user logins as is', () => {
+    expect(getAuthorLogin({ login: 'octocat', __typename: 'User' })).toBe('octocat');
+  });
+
+  it('should suffix bot logins with [bot]', () => {
+    expect(getAuthorLogin({ login: 'dependabot', __typename: 'Bot' })).toBe('dependabot[bot]');
+    expect(getAuthorLogin({ login: 'renovate[bot]', __typename: 'Bot' })).toBe('renovate[bot]');
+  });
+
+  it('should return null for deleted accounts', () => {
+    expect(getAuthorLogin(null)).toBeNull();
+  });
+});
+
+describe('parseMetrics', () => {
+  it('should return the default metrics for empty input', () => {
+    expect(parseMetrics('')).toEqual(['repositories', 'pull_requests_created', 'pull_requests_merged']);
+  });
+
+  it('should keep the given order', () => {
+    expect(parseMetrics('pull_requests_merged,repositories')).toEqual(['pull_requests_merged', 'repositories']);
+  });
+
+  it('should throw for unknown metrics', () => {
+    expect(() => parseMetrics('repositories,stars_everywhere')).toThrow(
+      `Invalid 'metrics' input: unknown metric 'stars_everywhere'. Available metrics: ${Object.keys(METRIC_PROVIDERS).join(', ')}`
+    );
+  });
+
+  it('should throw for duplicate metrics', () => {
+    expect(() => parseMetrics('repositories,repositories')).toThrow(
+      `Invalid 'metrics' input: 'repositories' is listed more than once`
+    );
+  });
+
+  it('should not accept inherited object properties as metrics', () => {
+    expect(() => parseMetrics('toString')).toThrow(`unknown metric 'toString'`);
+  });
+});
+
+describe('validateRequiredInput', () => {
+  it('should return value when input is provided', () => {
+    const result = validateRequiredInput('test-org', 'organization');
+    expect(result).toBe('test-org');
+  });
+
+  it('should throw error when input is missing', () => {
+    expect(() => validateRequiredInput('', 'organization')).toThrow('organization is required');
+  });
+
+  it('should throw error when input is null', () => {
+    expect(() => validateRequiredInput(null, 'token')).toThrow('token is required');
+  });
+
+  it('should throw error when input is undefined', () => {
+    expect(() => validateRequiredInput(undefined, 'days')).toThrow('days is required');
+  });
+});
+
+describe('createGraphqlClient', () => {
+  it('should create a graphql client with default URL', () => {
+    const client = createGraphqlClient('test-token');
+    expect(client).toBeDefined();
+    expect(typeof client).toBe('function');
+  });
+
+  it('should create a graphql client with custom URL', () => {
+    const client = createGraphqlClient('test-token', 'https://custom.github.com/graphql');
+    expect(client).toBeDefined();
+    expect(typeof client).toBe('function');
+  });
+
+  it('should create a graphql client when custom URL matches default', () => {
+    const client = createGraphqlClient('test-token', 'https://api.github.com/graphql');
+    expect(client).toBeDefined();
+    expect(typeof client).toBe('function');
+  });
+});
+
+describe('addRateLimitField', () => {
+  it('should add the rateLimit field to queries', () => {
+    const query = addRateLimitField('query { viewer { login } }');
+    expect(query).toMatch(/^query \{ viewer \{ login \}\s+rateLimit \{\s+cost\s+remaining\s+resetAt\s+\}\s+\}$/);
+  });
+
+  it('should leave mutations and queries that already select the rate limit unchanged', () => {
+    const mutation = 'mutation { createRef(input: {}) { ref { name } } }';
+    const query = 'query { rateLimit { remaining } }';
+    expect(addRateLimitField(mutation)).toBe(mutation);
+    expect(addRateLimitField(query)).toBe(query);
+  });
+});
+
+describe('getRetryDelay', () => {
+  const createError = (message, properties) => Object.assign(new Error(message), properties);
+
+  it('should back off exponentially with jitter for server errors', () => {
+    const error = createError('Bad Gateway', { status: 502 });
+    expect(getRetryDelay(error, 0, () => 0)).toBe(500);
+    expect(getRetryDelay(error, 0, () => 1)).toBe(1000);
+    expect(getRetryDelay(error, 3, () => 1)).toBe(8000);
+    expect(getRetryDelay(error, 10, () => 1)).toBe(60000);
+  });
+
+  it('should wait for retry-after on secondary rate limits', () => {
+    const error = createError('You have exceeded a secondary rate limit', {
+      status: 403,
+      response: { headers: { 'retry-after': '30' } }
+    });
+    expect(getRetryDelay(error, 0)).toBe(30000);
+  });
+
+  it('should wait at least a minute on secondary rate limits without retry-after', () => {
+    const error = createError('You have exceeded a secondary rate limit', { status: 403, response: { headers: {} } });
+    expect(getRetryDelay(error, 0)).toBe(60000);
+  });
+
+  it('should wait until the reset time when the primary rate limit is used up', () => {
+    const reset = Math.floor(Date.now() / 1000) + 120;
+    const error = createError('API rate limit exceeded', {
+      status: 403,
+      response: { headers: { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(reset) } }
+    });
+    const delay = getRetryDelay(error, 0);
+    expect(delay).toBeGreaterThan(110000);
+    expect(delay).toBeLessThanOrEqual(121000);
+  });
+
+  it('should retry RATE_LIMITED GraphQL errors', () => {
+    const error = createError('API rate limit exceeded', { errors: [{ type: 'RATE_LIMITED' }], headers: {} });
+    expect(getRetryDelay(error, 0)).toBe(60000);
+  });
+
+  it('should not retry other errors', () => {
+    expect(getRetryDelay(createError('Bad credentials', { status: 401 }), 0)).toBeNull();
+    expect(
+      getRetryDelay(createError('Resource not accessible', { status: 403, response: { headers: {} } }), 0)
+    ).toBeNull();
+    expect(getRetryDelay(createError('Field does not exist', { errors: [{ type: 'UNDEFINED_FIELD' }] }), 0)).toBeNull();
+  });
+});
+
+describe('withRateLimitHandling', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should track the total query cost', async () => {
+    const mockGraphqlClient = jest
+      .fn()
+      .mockResolvedValueOnce({ viewer: {}, rateLimit: { cost: 1, remaining: 4999, resetAt: '2026-01-01T00:00:00Z' } })
+      .mockResolvedValueOnce({ viewer: {}, rateLimit: { cost: 3, remaining: 4996, resetAt: '2026-01-01T00:00:00Z' } });
+    const client = withRateLimitHandling(mockGraphqlClient);
+
+    await client('query { viewer { login } }', {});
+    await client('query { viewer { login } }', {});
+
+    expect(client.getUsage()).toEqual({ queries: 2, cost: 4, remaining: 4996 });
+    expect(mockGraphqlClient.mock.calls[0][0]).toContain('rateLimit');
+  });
+
+  it('should pause until the reset time when the budget is low', async () => {
+    const resetAt = new Date(Date.now() + 60000).toISOString();
+    const mockGraphqlClient = jest.fn().mockResolvedValue({ rateLimit: { cost: 1, remaining: 10, resetAt } });
+    const sleep = jest.fn().mockResolvedValue();
+    const client = withRateLimitHandling(mockGraphqlClient, { sleep });
+
+    await client('query { viewer { login } }');
+    expect(sleep).not.toHaveBeenCalled();
+    await client('query { viewer { login } }');
+
+    expect(sleep).toHaveBeenCalledTimes(1);
+    expect(sleep.mock.calls[0][0]).toBeGreaterThan(50000);
+    expect(core.warning).toHaveBeenCalledWith(
+      expect.stringContaining('GraphQL rate limit is almost used up (10 left)')
+    );
+  });
+
+  it('should retry transient failures', async () => {
+    const mockGraphqlClient = jest
+      .fn()
+      .mockRejectedValueOnce(Object.assign(new Error('Bad Gateway'), { status: 502 }))
+      .mockResolvedValueOnce({ viewer: { login: 'octocat' } });
+    const sleep = jest.fn().mockResolvedValue();
+    const client = withRateLimitHandling(mockGraphqlClient, { sleep, random: () => 1 });
+
+    const result = await client('query { viewer { login } }');
+
+    expect(result.viewer.login).toBe('octocat');
+    expect(sleep).toHaveBeenCalledWith(1000);
+    expect(core.warning).toHaveBeenCalledWith('GraphQL request failed (Bad Gateway), retrying in 1s (retry 1 of 5)');
+  });
+
+  it('should give up after the maximum number of retries', async () => {
+    const error = Object.assign(new Error('Service Unavailable'), { status: 503 });
+    const mockGraphqlClient = jest.fn().mockRejectedValue(error);
+    const sleep = jest.fn().mockResolvedValue();
+    const client = withRateLimitHandling(mockGraphqlClient, { sleep, maxRetries: 2 });
+
+    await expect(client('query { viewer { login } }')).rejects.toBe(error);
+    expect(mockGraphqlClient).toHaveBeenCalledTimes(3);
+  });
+
+  it('should not retry mutations', async () => {
+    const error = Object.assign(new Error('Bad Gateway'), { status: 502 });
+    const mockGraphqlClient = jest.fn().mockRejectedValue(error);
+    const sleep = jest.fn();
+    const client = withRateLimitHandling(mockGraphqlClient, { sleep });
+
+    await expect(
+      client('mutation ($input: CreateRefInput!) { createRef(input: $input) { clientMutationId } }', { input: {} })
+    ).rejects.toBe(error);
+    expect(mockGraphqlClient).toHaveBeenCalledTimes(1);
+    expect(sleep).not.toHaveBeenCalled();
+  });
+
+  it('should not retry errors that are not transient', async () => {
+    const error = Object.assign(new Error('Bad credentials'), { status: 401 });
+    const mockGraphqlClient = jest.fn().mockRejectedValue(error);
+    const sleep = jest.fn();
+    const client = withRateLimitHandling(mockGraphqlClient, { sleep });
+
+    await expect(client('query { viewer { login } }')).rejects.toBe(error);
+    expect(mockGraphqlClient).toHaveBeenCalledTimes(1);
+    expect(sleep).not.toHaveBeenCalled();
+  });
+});
+
+describe('run', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should execute with provided config and set outputs', async () => {
+    const mockGraphqlClient = jest
+      .fn()
+      .mockResolvedValueOnce({
+        organization: {
+          repositories: {
+            nodes: [{ name: 'repo1' }],
+            pageInfo: { endCursor: null, hasNextPage: false }
+          }
+        }
+      })
+      .mockResolvedValueOnce({
+        repository: {
+          pullRequests: {
+            nodes: [],
+            pageInfo: { endCursor: null, hasNextPage: false }
+          }
+        }
+      });
+
+    const config = {
+      organization: 'test-org',
+      token: 'test-token',
+      days: 30,
+      graphqlClient: mockGraphqlClient,
+      color: 'blue',
+      labelColor: '555'
+    };
+
+    const badges = await run(config);
+
+    expect(badges).toHaveLength(3);
+    expect(core.setOutput).toHaveBeenCalledWith('badges', expect.any(String));
+    expect(core.info).toHaveBeenCalledWith(expect.stringContaining('Badge markdown:'));
+  });
+
+  it('should resolve the organizations of an enterprise', async () => {
+    const mockGraphqlClient = jest.fn().mockImplementation((query, variables) =>
+      Promise.resolve(
+        query.includes('enterprise (slug')
+          ? {
+              enterprise: {
+                organizations: {
+                  nodes: [{ login: 'org-a' }, { login: 'org-b' }],
+                  pageInfo: { endCursor: null, hasNextPage: false }
+                }
+              }
+            }
+          : {
+              organization: {
+                repositories: {
+                  nodes: [{ name: `${variables.organization}-repo` }],
+                  pageInfo: { endCursor: null, hasNextPage: false }
+                }
+              }
+            }
+      )
+    );
+
+    const badges = await run({
+      enterprise: 'acme',
+      organizations: [],
+      token: 'test-token',
+      days: 30,
+      graphqlClient: mockGraphqlClient,
+      color: 'blue',
+      labelColor: '555',
+      metrics: ['repositories'],
+      perOrganization: true
+    });
+
+    expect(badges).toEqual([
+      '![Total repositories](https://img.shields.io/badge/Total%20repositories-2-blue?labelColor=555)',
+      '![org-a: Total repositories](https://img.shields.io/badge/org--a%3A%20Total%20repositories-1-blue?labelColor=555)',
+      '![org-b: Total repositories](https://img.shields.io/badge/org--b%3A%20Total%20repositories-1-blue?labelColor=555)'
+    ]);
+  });
+
+  it('should set the badges output in the configured format', async () => {
+    const mockGraphqlClient = jest.fn().mockResolvedValue({
+      organization: {
+        repositories: { nodes: [{ name: 'repo1' }], pageInfo: { endCursor: null, hasNextPage: false } }
+      }
+    });
+
+    await run({
+      organization: 'test-org',
+      token: 'test-token',
+      days: 30,
+      graphqlClient: mockGraphqlClient,
+      metrics: ['repositories'],
+      format: 'html'
+    });
+
+    expect(core.setOutput).toHaveBeenCalledWith(
+      'badges',
+      '<img src="https://img.shields.io/badge/Total%20repositories-1-blue?labelColor=555" alt="Total repositories">'
+    );
+  });
+
+  it('should log the total query cost of a rate limit aware client', async () => {
+    const mockGraphqlClient = jest.fn().mockImplementation(query =>
+      Promise.resolve(
+        query.includes('organization (login')
+          ? {
+              organization: {
+                repositories: { nodes: [], pageInfo: { endCursor: null, hasNextPage: false } }
+              },
+              rateLimit: { cost: 2, remaining: 4998, resetAt: '2026-01-01T00:00:00Z' }
+            }
+          : {}
+      )
+    );
+
+    await run({
+      organization: 'test-org',
+      token: 'test-token',
+      days: 30,
+      graphqlClient: withRateLimitHandling(mockGraphqlClient),
+      metrics: ['repositories']
+    });
+
+    expect(core.info).toHaveBeenCalledWith('GraphQL rate limit cost: 2 points for 1 queries');
+  });
+
+  it('should handle errors during execution', async () => {
+    const mockGraphqlClient = jest.fn().mockRejectedValue(new Error('API Error'));
+
+    const mockExit = jest.spyOn(process, 'exit').mockImplementation(() => {
+      throw new Error('process.exit called');
+    });
+
+    const config = {
+      organization: 'test-org',
+      token: 'test-token',
+      days: 30,
+      graphqlClient: mockGraphqlClient,
+      color: 'blue',
+      labelColor: '555'
+    };
+
+    await expect(run(config)).rejects.toThrow('process.exit called');
+    expect(core.error).toHaveBeenCalled();
+
+    mockExit.mockRestore();
+  });
+
+  describe('with readmePath', () => {
+    let tmpDir;
+    let readmePath;
+
+    const mockClient = () =>
+      jest
+        .fn()
+        .mockResolvedValueOnce({
+          organization: {
+            repositories: {
+              nodes: [{ name: 'repo1' }],
+              pageInfo: { endCursor: null, hasNextPage: false }
+            }
+          }
+        })
+        .mockResolvedValueOnce({
+          repository: {
+            pullRequests: {
+              nodes: [],
+              pageInfo: { endCursor: null, hasNextPage: false }
+            }
+          }
+        });
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'badges-'));
+      readmePath = path.join(tmpDir, 'README.md');
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should write badges into the README and set changed to true', async () => {
+      fs.writeFileSync(readmePath, '# org\n\n<!-- start organization badges -->\n<!-- end organization badges -->\n');
+
+      const badges = await run({
+        organization: 'test-org',
+        days: 30,
+        graphqlClient: mockClient(),
+        color: 'blue',
+        labelColor: '555',
+        readmePath
+      });
+
+      const content = fs.readFileSync(readmePath, 'utf8');
+      expect(content).toBe(
+        `# org\n\n<!-- start organization badges -->\n${badges.join(' ')}\n<!-- end organization badges -->\n`
+      );
+      expect(core.setOutput).toHaveBeenCalledWith('changed', true);
+    });
+
+    it('should set changed to false when the README is already up to date', async () => {
+      fs.writeFileSync(readmePath, '<!-- start organization badges -->\n<!-- end organization badges -->');
+      const config = {
+        organization: 'test-org',
+        days: 30,
+        color: 'blue',
+        labelColor: '555',
+        readmePath
+      };
+
+      await run({ ...config, graphqlClient: mockClient() });
+      jest.clearAllMocks();
+      await run({ ...config, graphqlClient: mockClient() });
+
+      expect(core.setOutput).toHaveBeenCalledWith('changed', false);
+    });
+
+    it('should fail when the markers are missing', async () => {
+      fs.writeFileSync(readmePath, '# org\n');
+
+      await expect(
+        run({
+          organization: 'test-org',
+          days: 30,
+          graphqlClient: mockClient(),
+          readmePath
+        })
+      ).rejects.toThrow(`Start marker '<!-- start organization badges -->' not found`);
+    });
+
+    it('should use custom markers', async () => {
+      fs.writeFileSync(readmePath, '<!-- badges -->old<!-- /badges -->');
+
+      await run({
+        organization: 'test-org',
+        days: 30,
+        graphqlClient: mockClient(),
+        readmePath,
+        startMarker: '<!-- badges -->',
+        endMarker: '<!-- /badges -->'
+      });
+
+      const content = fs.readFileSync(readmePath, 'utf8');
+      expect(content).toMatch(/^<!-- badges -->\n!\[Total repositories\].*\n<!-- \/badges -->$/);
+    });
+  });
+
+  it('should commit the README through the API when commit is enabled', async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'badges-'));
+    const readmePath = path.join(tmpDir, 'README.md');
+    fs.writeFileSync(readmePath, '<!-- start organization badges -->\n<!-- end organization badges -->');
+    const originalWorkspace = process.env.GITHUB_WORKSPACE;
+    process.env.GITHUB_WORKSPACE = tmpDir;
+
+    const commitClient = createCommitClient();
+    const mockGraphqlClient = jest.fn().mockImplementation((query, variables) => {
+      if (query.includes('organization (login')) {
+        return Promise.resolve({
+          organization: { repositories: { nodes: [], pageInfo: { endCursor: null, hasNextPage: false } } }
+        });
+      }
+      return commitClient(query, variables);
+    });
+
+    try {
+      await run({
+        organization: 'test-org',
+        days: 30,
+        graphqlClient: mockGraphqlClient,
+        readmePath,
+        commit: true,
+        repository: 'org/.github'
+      });
+    } finally {
+      process.env.GITHUB_WORKSPACE = originalWorkspace;
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+
+    const [, { input }] = findCall(commitClient, 'createCommitOnBranch');
+    expect(input.fileChanges.additions[0].path).toBe('README.md');
+    expect(input.message.headline).toBe('docs: update organization readme badges');
+    expect(core.setOutput).toHaveBeenCalledWith('commit_sha', 'new-oid');
+    expect(core.setOutput).toHaveBeenCalledWith('pull_request_url', '');
+  });
+
+  it('should write SVG badges and reference them from the README', async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'badges-'));
+    const readmePath = path.join(tmpDir, 'profile', 'README.md');
+    fs.mkdirSync(path.dirname(readmePath));
+    fs.writeFileSync(readmePath, '<!-- start organization badges -->\n<!-- end organization badges -->');
+    const mockGraphqlClient = jest.fn().mockResolvedValueOnce({
+      organization: {
+        repositories: {
+          nodes: [],
+          pageInfo: { endCursor: null, hasNextPage: false }
+        }
+      }
+    });
+
+    try {
+      const badges = await run({
+        organization: 'test-org',
+        days: 30,
+        graphqlClient: mockGraphqlClient,
+        color: 'blue',
+        labelColor: '555',
+        readmePath,
+        renderer: 'svg',
+        svgDirectory: path.join(tmpDir, 'profile', 'badges')
+      });
+
+      expect(badges[0]).toBe('![Total repositories](badges/repositories.svg)');
+      expect(fs.readFileSync(path.join(tmpDir, 'profile', 'badges', 'repositories.svg'), 'utf8')).toContain('<svg');
+      expect(fs.readFileSync(readmePath, 'utf8')).toContain('![Total repositories](badges/repositories.svg)');
+      expect(core.setOutput).toHaveBeenCalledWith('changed', true);
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+
+  it('should set changed to false when no readmePath is configured', async () => {
+    const mockGraphqlClient = jest.fn().mockResolvedValueOnce({
+      organization: {
+        repositories: {
+          nodes: [],
+          pageInfo: { endCursor: null, hasNextPage: false }
+        }
+      }
+    });
+
+    await run({ organization: 'test-org', days: 30, graphqlClient: mockGraphqlClient });
+
+    expect(core.setOutput).toHaveBeenCalledWith('changed', false);
+  });
+
+  describe('with historyPath', () => {
+    let tmpDir;
+    let historyPath;
+
+    const mockClient = () =>
+      jest.fn().mockResolvedValue({
+        organization: {
+          repositories: {
+            nodes: [{ name: 'repo1' }, { name: 'repo2' }, { name: 'repo3' }],
+            pageInfo: { endCursor: null, hasNextPage: false }
+          }
+        }
+      });
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'badges-'));
+      historyPath = path.join(tmpDir, 'history.json');
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should record the run and show the change since the previous run', async () => {
+      fs.writeFileSync(
+        historyPath,
+        JSON.stringify({ entries: [{ timestamp: '2026-01-01T00:00:00.000Z', days: 30, metrics: { repositories: 2 } }] })
+      );
+
+      const badges = await run({
+        organization: 'test-org',
+        token: 'test-token',
+        days: 30,
+        graphqlClient: mockClient(),
+        metrics: ['repositories'],
+        historyPath
+      });
+
+      expect(badges[0]).toContain(encodeURIComponent('3 ▲50%'));
+      expect(badges[0]).toContain('-green?');
+      const history = JSON.parse(fs.readFileSync(historyPath, 'utf8'));
+      expect(history.entries).toHaveLength(2);
+      expect(history.entries[1]).toEqual({ timestamp: expect.any(String), days: 30, metrics: { repositories: 3 } });
+      expect(core.info).toHaveBeenCalledWith('Comparing with the run from 2026-01-01T00:00:00.000Z');
+      expect(core.setOutput).toHaveBeenCalledWith('changed', true);
+    });
+
+    it('should keep the raw values in the json format', async () => {
+      fs.writeFileSync(
+        historyPath,
+        JSON.stringify({ entries: [{ timestamp: '2026-01-01T00:00:00.000Z', days: 30, metrics: { repositories: 2 } }] })
+      );
+
+      const [badge] = await run({
+        organization: 'test-org',
+        token: 'test-token',
+        days: 30,
+        graphqlClient: mockClient(),
+        metrics: ['repositories'],
+        format: 'json',
+        historyPath
+      });
+
+      expect(JSON.parse(badge)).toEqual(
+        expect.objectContaining({
+          value: 3,
+          trend: '▲50%',
+          color: 'green',
+          url: expect.stringContaining('3%20%E2%96%B250%25')
+        })
+      );
+    });
+
+    it('should create the history file on the first run', async () => {
+      const badges = await run({
+        organization: 'test-org',
+        token: 'test-token',
+        days: 30,
+        graphqlClient: mockClient(),
+        metrics: ['repositories'],
+        historyPath
+      });
+
+      expect(badges[0]).toContain('-3-blue?');
+      expect(JSON.parse(fs.readFileSync(historyPath, 'utf8')).entries).toHaveLength(1);
+      expect(core.info).toHaveBeenCalledWith(`No earlier run in ${historyPath} to compare with`);
+    });
+
+    const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    // One repository with PRs created 1 and 10 days ago
+    const mockPullRequestClient = () =>
+      jest.fn().mockImplementation(query =>
+        Promise.resolve(
+          query.includes('organization (login')
+            ? {
+                organization: {
+                  repositories: { nodes: [{ name: 'repo1' }], pageInfo: { endCursor: null, hasNextPage: false } }
+                }
+              }
+            : {
+                repository: {
+                  pullRequests: {
+                    nodes: [daysAgo(1), daysAgo(10)].map(createdAt => ({ createdAt, mergedAt: null, state: 'OPEN' })),
+                    pageInfo: { endCursor: null, hasNextPage: false }
+                  }
+                }
+              }
+        )
+      );
+
+    it('should compare each window with a run at least that window ago', async () => {
+      const entry = (days, metrics) => ({ timestamp: daysAgo(days), days: 7, windows: [7, 30], metrics });
+      fs.writeFileSync(
+        historyPath,
+        JSON.stringify({
+          entries: [
+            entry(31, { pull_requests_created: 5, 'pull_requests_created-30d': 1 }),
+            entry(8, { pull_requests_created: 2, 'pull_requests_created-30d': 4 })
+          ]
+        })
+      );
+
+      const badges = await run({
+        organization: 'test-org',
+        token: 'test-token',
+        days: 7,
+        windows: [7, 30],
+        trend: 'previous_window',
+        graphqlClient: mockPullRequestClient(),
+        metrics: ['pull_requests_created'],
+        historyPath
+      });
+
+      expect(badges[0]).toContain(encodeURIComponent('1 ▼50%'));
+      expect(badges[1]).toContain(encodeURIComponent('2 ▲100%'));
+      expect(JSON.parse(fs.readFileSync(historyPath, 'utf8')).entries[2]).toEqual({
+        timestamp: expect.any(String),
+        days: 7,
+        windows: [7, 30],
+        metrics: { pull_requests_created: 1, 'pull_requests_created-30d': 2 }
+      });
+    });
+
+    it('should keep the trend of the first window when windows are added', async () => {
+      fs.writeFileSync(
+        historyPath,
+        JSON.stringify({ entries: [{ timestamp: daysAgo(1), days: 30, metrics: { pull_requests_created: 1 } }] })
+      );
+
+      const badges = await run({
+        organization: 'test-org',
+        token: 'test-token',
+        days: 30,
+        windows: [30, 90],
+        graphqlClient: mockPullRequestClient(),
+        metrics: ['pull_requests_created'],
+        historyPath
+      });
+
+      expect(badges[0]).toContain(encodeURIComponent('2 ▲100%'));
+      expect(badges[1]).toContain('-2-blue?');
+    });
+  });
+});
+
+describe('replaceBetweenMarkers', () => {
+  const start = '<!-- start organization badges -->';
+  const end = '<!-- end organization badges -->';
+
+  it('should replace the content between the default markers', () => {
+    const content = `# org\n\n${start}\nold badges\n${end}\n\nmore text\n`;
+    const result = replaceBetweenMarkers(content, 'new badges');
+    expect(result).toBe(`# org\n\n${start}\nnew badges\n${end}\n\nmore text\n`);
+  });
+
+  it('should fill an empty section', () => {
+    const result = replaceBetweenMarkers(`${start}${end}`, 'badges');
+    expect(result).toBe(`${start}\nbadges\n${end}`);
+  });
+
+  it('should insert special characters literally', () => {
+    const result = replaceBetweenMarkers(`${start}\n${end}`, '$& $1 \\ ![a](b)');
+    expect(result).toBe(`${start}\n$& $1 \\ ![a](b)\n${end}`);
+  });
+
+  it('should throw when the start marker is missing', () => {
+    expect(() => replaceBetweenMarkers(`text\n${end}`, 'badges')).toThrow(`Start marker '${start}' not found`);
+  });
+
+  it('should throw when the end marker is missing', () => {
+    expect(() => replaceBetweenMarkers(`${start}\ntext`, 'badges')).toThrow(`End marker '${end}' not found`);
+  });
+
+  it('should throw when a marker is duplicated', () => {
+    expect(() => replaceBetweenMarkers(`${start}\n${end}\n${start}\n${end}`, 'badges')).toThrow(
+      `Start marker '${start}' found 2 times, expected exactly once`
+    );
+  });
+
+  it('should throw when the end marker comes before the start marker', () => {
+    expect(() => replaceBetweenMarkers(`${end}\n${start}`, 'badges')).toThrow(
+      `End marker '${end}' must come after start marker '${start}'`
+    );
+  });
+
+  it('should support custom markers', () => {
+    const result = replaceBetweenMarkers('[[a]]x[[b]]', 'y', '[[a]]', '[[b]]');
+    expect(result).toBe('[[a]]\ny\n[[b]]');
+  });
+});
+
+describe('updateReadme', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'badges-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should write the file only when the content changes', () => {
+    const readmePath = path.join(tmpDir, 'README.md');
+    fs.writeFileSync(readmePath, '<!-- start organization badges -->\n<!-- end organization badges -->');
+
+    const first = updateReadme(readmePath, 'badges');
+    expect(first.changed).toBe(true);
+    expect(fs.readFileSync(readmePath, 'utf8')).toBe(first.content);
+
+    const second = updateReadme(readmePath, 'badges');
+    expect(second.changed).toBe(false);
+    expect(second.content).toBe(first.content);
+  });
+
+  it('should throw a clear error when the file does not exist', () => {
+    const readmePath = path.join(tmpDir, 'missing.md');
+    expect(() => updateReadme(readmePath, 'badges')).toThrow(`Unable to read README at '${readmePath}'`);
+  });
+
+  it('should include the path when the markers are invalid', () => {
+    const readmePath = path.join(tmpDir, 'README.md');
+    fs.writeFileSync(readmePath, 'no markers');
+    expect(() => updateReadme(readmePath, 'badges')).toThrow(`Unable to update ${readmePath}: Start marker`);
+  });
+});
+
+/**
+ * Creates a mock GraphQL client that simulates the queries and mutations used for committing files
+ */
+const createCommitClient = ({ files = {}, branches = { main: 'base-oid' }, openPullRequest = null } = {}) =>
+  jest.fn().mockImplementation((query, variables) => {
+    if (query.includes('defaultBranchRef')) {
+      return Promise.resolve({ repository: { id: 'repo-id', defaultBranchRef: { name: 'main' } } });
+    }
+    if (query.includes('ref(qualifiedName')) {
+      const oid = branches[variables.qualifiedName.replace('refs/heads/', '')];
+      return Promise.resolve({ repository: { ref: oid ? { id: `ref-${oid}`, target: { oid } } : null } });
+    }
+    if (query.includes('object(expression')) {
+      const text = files[variables.expression];
+      return Promise.resolve({ repository: { object: text === undefined ? null : { text } } });
+    }
+    if (query.includes('createRef')) {
+      return Promise.resolve({ createRef: { ref: { name: variables.input.name } } });
+    }
+    if (query.includes('updateRef')) {
+      return Promise.resolve({ updateRef: { ref: { name: 'organization-readme-badges' } } });
+    }
+    if (query.includes('createCommitOnBranch')) {
+      return Promise.resolve({
+        createCommitOnBranch: { commit: { oid: 'new-oid', url: 'https://github.com/org/.github/commit/new-oid' } }
+      });
+    }
+    if (query.includes('pullRequests(headRefName')) {
+      return Promise.resolve({ repository: { pullRequests: { nodes: openPullRequest ? [openPullRequest] : [] } } });
+    }
+    if (query.includes('createPullRequest')) {
+      return Promise.resolve({ createPullRequest: { pullRequest: { url: 'https://github.com/org/.github/pull/1' } } });
+    }
+    return Promise.reject(new Error(`Unexpected query: ${query}`));
+  });
+
+const findCall = (client, text) => client.mock.calls.find(([query]) => query.includes(text));
+
+describe('readHistory', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should return an empty history when the file does not exist', () => {
+    expect(readHistory(path.join(tmpDir, 'missing.json'))).toEqual({ entries: [] });
+  });
+
+  it('should read the recorded runs', () => {
+    const historyPath = path.join(tmpDir, 'history.json');
+    const history = { entries: [{ timestamp: '2026-01-01T00:00:00.000Z', days: 30, metrics: { repositories: 5 } }] };
+    fs.writeFileSync(historyPath, JSON.stringify(history));
+    expect(readHistory(historyPath)).toEqual(history);
+  });
+
+  it('should throw error when the file is not valid JSON', () => {
+    const historyPath = path.join(tmpDir, 'history.json');
+    fs.writeFileSync(historyPath, '{ not json');
+    expect(() => readHistory(historyPath)).toThrow(`Unable to read history at '${historyPath}'`);
+  });
+
+  it('should throw error when the file has no entries array', () => {
+    const historyPath = path.join(tmpDir, 'history.json');
+    fs.writeFileSync(historyPath, '{}');
+    expect(() => readHistory(historyPath)).toThrow(`expected an object with an 'entries' array`);
+  });
+});
+
+describe('findPreviousEntry', () => {
+  const now = new Date('2026-03-31T00:00:00Z');
+  const history = {
+    entries: [
+      { timestamp: '2026-02-27T00:00:00.000Z', days: 30, metrics: { repositories: 1 } },
+      { timestamp: '2026-03-01T00:00:00.000Z', days: 30, metrics: { repositories: 2 } },
+      { timestamp: '2026-03-30T00:00:00.000Z', days: 30, metrics: { repositories: 3 } },
+      { timestamp: '2026-03-30T12:00:00.000Z', days: 7, metrics: { repositories: 4 } }
+    ]
+  };
+
+  it('should return the latest run with the same number of days', () => {
+    expect(findPreviousEntry(history, { trend: 'previous_run', days: 30, now }).metrics.repositories).toBe(3);
+  });
+
+  it('should return the latest run at least one window ago', () => {
+    expect(findPreviousEntry(history, { trend: 'previous_window', days: 30, now }).metrics.repositories).toBe(2);
+  });
+
+  it('should match runs that counted the window among several', () => {
+    const entries = [
+      { timestamp: '2026-03-01T00:00:00.000Z', days: 7, windows: [7, 90], metrics: { repositories: 5 } }
+    ];
+
+    expect(findPreviousEntry({ entries }, { trend: 'previous_run', days: 90, now }).metrics.repositories).toBe(5);
+    expect(findPreviousEntry({ entries }, { trend: 'previous_run', days: 30, now })).toBeNull();
+  });
+
+  it('should return null when no run matches', () => {
+    expect(findPreviousEntry(history, { trend: 'previous_window', days: 90, now })).toBeNull();
+    expect(findPreviousEntry({ entries: [] }, { trend: 'previous_run', days: 30, now })).toBeNull();
+  });
+});
+
+describe('addHistoryEntry', () => {
+  it('should record the numeric badge values by key', () => {
+    const now = new Date('2026-03-31T00:00:00Z');
+    const history = addHistoryEntry(
+      { entries: [] },
+      [
+        { metric: 'repositories', message: 12 },
+        { metric: 'languages', key: 'language-javascript', message: '42%' }
+      ],
+      { days: 30, now }
+    );
+
+    expect(history.entries).toEqual([
+      { timestamp: '2026-03-31T00:00:00.000Z', days: 30, metrics: { repositories: 12 } }
+    ]);
+  });
+
+  it('should drop the oldest runs beyond the limit', () => {
+    const entries = Array.from({ length: 1000 }, (_, index) => ({ timestamp: String(index), days: 30, metrics: {} }));
+
+    const history = addHistoryEntry({ entries }, [], { days: 30 });
+
+    expect(history.entries).toHaveLength(1000);
+    expect(history.entries[0].timestamp).toBe('1');
+  });
+});
+
+describe('formatTrend', () => {
+  it.each([
+    [120, 104, { direction: 'up', text: '▲15%' }],
+    [90, 100, { direction: 'down', text: '▼10%' }],
+    [50, 50, { direction: 'none', text: '±0%' }],
+    [0, 0, { direction: 'none', text: '±0%' }]
+  ])('should format %p compared with %p', (value, previous, expected) => {
+    expect(formatTrend(value, previous)).toEqual(expected);
+  });
+
+  it('should return null when there is nothing to compare with', () => {
+    expect(formatTrend(5, undefined)).toBeNull();
+    expect(formatTrend(5, 0)).toBeNull();
+  });
+});
+
+describe('applyTrends', () => {
+  const colors = { upColor: 'green', downColor: 'red' };
+  const badgeData = [
+    { metric: 'repositories', message: 10, color: 'blue' },
+    { metric: 'issues_open', message: 8, color: 'blue' },
+    { metric: 'stars', message: 4, color: 'blue' },
+    { metric: 'languages', key: 'language-go', message: '20%', color: 'blue' }
+  ];
+
+  it('should add the change and the color of its direction but keep the raw values', () => {
+    const previous = { metrics: { repositories: 8, issues_open: 10, stars: 4 } };
+
+    expect(
+      applyTrends(badgeData, previous, colors).map(badge => [badge.message, badge.trend, badge.trendColor, badge.color])
+    ).toEqual([
+      [10, '▲25%', 'green', 'blue'],
+      [8, '▼20%', 'red', 'blue'],
+      [4, '±0%', undefined, 'blue'],
+      ['20%', undefined, undefined, 'blue']
+    ]);
+  });
+
+  it('should return the badges unchanged without a previous run', () => {
+    expect(applyTrends(badgeData, null, colors)).toBe(badgeData);
+  });
+
+  it('should render the trend after the value formatted in the locale', () => {
+    const previous = { metrics: { repositories: 1000, stars: 1000000 } };
+    const badges = applyTrends(
+      [
+        { metric: 'repositories', message: 1500, color: 'blue', labelColor: '555' },
+        { metric: 'stars', message: 1500000, color: 'blue', labelColor: '555' }
+      ],
+      previous,
+      colors
+    );
+
+    const { badges: rendered } = renderBadges(badges, { locale: 'de' });
+    expect(rendered[0]).toContain(`${encodeURIComponent('1.500 ▲50%')}-green?`);
+    expect(renderBadges(badges, { numberFormat: 'compact' }).badges[1]).toContain(encodeURIComponent('1.5M ▲50%'));
+  });
+});
+
+describe('parseRepository', () => {
+  it('should split owner and name', () => {
+    expect(parseRepository('org/.github')).toEqual({ owner: 'org', name: '.github' });
+  });
+
+  it.each(['', 'org', 'org/', '/repo', 'a/b/c', undefined])('should throw for %p', value => {
+    expect(() => parseRepository(value)).toThrow(`Invalid 'repository' input: expected 'owner/name'`);
+  });
+});
+
+describe('toRepositoryPath', () => {
+  const originalWorkspace = process.env.GITHUB_WORKSPACE;
+
+  afterEach(() => {
+    if (originalWorkspace === undefined) {
+      delete process.env.GITHUB_WORKSPACE;
+    } else {
+      process.env.GITHUB_WORKSPACE = originalWorkspace;
+    }
+  });
+
+  it('should normalize relative paths', () => {
+    process.env.GITHUB_WORKSPACE = '/workspace/repo';
+    expect(toRepositoryPath('./profile/README.md')).toBe('profile/README.md');
+  });
+
+  it('should make absolute paths relative to the workspace', () => {
+    process.env.GITHUB_WORKSPACE = '/workspace/repo';
+    expect(toRepositoryPath('/workspace/repo/profile/README.md')).toBe('profile/README.md');
+  });
+});
+
+describe('commitFiles', () => {
+  const files = [{ path: 'profile/README.md', content: 'new content' }];
+  const options = {
+    repository: 'org/.github',
+    message: 'docs: update organization readme badges',
+    pullRequestBranch: 'organization-readme-badges'
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should skip the commit when the content is unchanged', async () => {
+    const client = createCommitClient({ files: { 'base-oid:profile/README.md': 'new content' } });
+
+    const result = await commitFiles(files, options, client);
+
+    expect(result).toEqual({ commitSha: null, pullRequestUrl: null });
+    expect(findCall(client, 'createCommitOnBranch')).toBeUndefined();
+    expect(core.info).toHaveBeenCalledWith('No changes to commit on org/.github@main');
+  });
+
+  it('should commit changed files to the default branch', async () => {
+    const client = createCommitClient({ files: { 'base-oid:profile/README.md': 'old content' } });
+
+    const result = await commitFiles(files, options, client);
+
+    expect(result).toEqual({ commitSha: 'new-oid', pullRequestUrl: null });
+    const [, { input }] = findCall(client, 'createCommitOnBranch');
+    expect(input).toEqual({
+      branch: { repositoryNameWithOwner: 'org/.github', branchName: 'main' },
+      message: { headline: 'docs: update organization readme badges' },
+      expectedHeadOid: 'base-oid',
+      fileChanges: {
+        additions: [{ path: 'profile/README.md', contents: Buffer.from('new content').toString('base64') }]
+      }
+    });
+  });
+
+  it('should only commit the files that changed', async () => {
+    const client = createCommitClient({
+      files: { 'base-oid:a.md': 'same', 'base-oid:b.md': 'old' }
+    });
+
+    await commitFiles(
+      [
+        { path: 'a.md', content: 'same' },
+        { path: 'b.md', content: 'new' }
+      ],
+      options,
+      client
+    );
+
+    const [, { input }] = findCall(client, 'createCommitOnBranch');
+    expect(input.fileChanges.additions.map(file => file.path)).toEqual(['b.md']);
+  });
+
+  it('should commit to a custom branch', async () => {
+    const client = createCommitClient({ branches: { main: 'base-oid', docs: 'docs-oid' } });
+
+    await commitFiles(files, { ...options, branch: 'docs' }, client);
+
+    const [, { input }] = findCall(client, 'createCommitOnBranch');
+    expect(input.branch.branchName).toBe('docs');
+    expect(input.expectedHeadOid).toBe('docs-oid');
+  });
+
+  it('should throw when the branch does not exist', async () => {
+    const client = createCommitClient();
+
+    await expect(commitFiles(files, { ...options, branch: 'missing' }, client)).rejects.toThrow(
+      `Branch 'missing' not found in org/.github`
+    );
+  });
+
+  it('should create a branch and open a pull request', async () => {
+    const client = createCommitClient();
+
+    const result = await commitFiles(files, { ...options, pullRequest: true }, client);
+
+    expect(result).toEqual({ commitSha: 'new-oid', pullRequestUrl: 'https://github.com/org/.github/pull/1' });
+    expect(findCall(client, 'createRef')[1].input).toEqual({
+      repositoryId: 'repo-id',
+      name: 'refs/heads/organization-readme-badges',
+      oid: 'base-oid'
+    });
+    const [, { input: commitInput }] = findCall(client, 'createCommitOnBranch');
+    expect(commitInput.branch.branchName).toBe('organization-readme-badges');
+    expect(commitInput.expectedHeadOid).toBe('base-oid');
+    expect(findCall(client, 'createPullRequest')[1].input).toEqual(
+      expect.objectContaining({
+        repositoryId: 'repo-id',
+        headRefName: 'organization-readme-badges',
+        baseRefName: 'main',
+        title: 'docs: update organization readme badges'
+      })
+    );
+  });
+
+  it('should reuse an up to date pull request branch and an open pull request', async () => {
+    const client = createCommitClient({
+      branches: { main: 'base-oid', 'organization-readme-badges': 'pr-oid' },
+      files: { 'pr-oid:profile/README.md': 'new content' },
+      openPullRequest: { url: 'https://github.com/org/.github/pull/7' }
+    });
+
+    const result = await commitFiles(files, { ...options, pullRequest: true }, client);
+
+    expect(result).toEqual({ commitSha: null, pullRequestUrl: 'https://github.com/org/.github/pull/7' });
+    expect(findCall(client, 'createRef')).toBeUndefined();
+    expect(findCall(client, 'createCommitOnBranch')).toBeUndefined();
+    expect(findCall(client, 'createPullRequest')).toBeUndefined();
+  });
+
+  it('should commit on top of an existing pull request branch', async () => {
+    const client = createCommitClient({
+      branches: { main: 'base-oid', 'organization-readme-badges': 'pr-oid' },
+      openPullRequest: { url: 'https://github.com/org/.github/pull/7' }
+    });
+
+    const result = await commitFiles(files, { ...options, pullRequest: true }, client);
+
+    expect(result).toEqual({ commitSha: 'new-oid', pullRequestUrl: 'https://github.com/org/.github/pull/7' });
+    expect(findCall(client, 'createCommitOnBranch')[1].input.expectedHeadOid).toBe('pr-oid');
+  });
+
+  it('should reset a pull request branch without an open pull request to the base branch', async () => {
+    const client = createCommitClient({
+      branches: { main: 'base-oid', 'organization-readme-badges': 'stale-oid' },
+      files: { 'stale-oid:profile/README.md': 'new content' }
+    });
+
+    const result = await commitFiles(files, { ...options, pullRequest: true }, client);
+
+    expect(result).toEqual({ commitSha: 'new-oid', pullRequestUrl: 'https://github.com/org/.github/pull/1' });
+    expect(findCall(client, 'updateRef')[1].input).toEqual({ refId: 'ref-stale-oid', oid: 'base-oid', force: true });
+    expect(findCall(client, 'createRef')).toBeUndefined();
+    expect(findCall(client, 'createCommitOnBranch')[1].input.expectedHeadOid).toBe('base-oid');
+    expect(core.info).toHaveBeenCalledWith(
+      'Resetting branch organization-readme-badges to main since it has no open pull request'
+    );
+  });
+});
+
+describe('initializeConfig', () => {
+  let getInputSpy;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getInputSpy = jest.spyOn(core, 'getInput');
+  });
+
+  afterEach(() => {
+    getInputSpy.mockRestore();
+  });
+
+  it('should throw error when organization is missing', () => {
+    getInputSpy.mockReturnValue('');
+    expect(() => initializeConfig()).toThrow('organization is required');
+  });
+
+  it('should throw error when token is missing', () => {
+    getInputSpy.mockImplementation(name => {
+      if (name === 'organization') return 'test-org';
+      return '';
+    });
+    expect(() => initializeConfig()).toThrow('token is required');
+  });
+
+  it('should return config with default values when inputs provided', () => {
+    getInputSpy.mockImplementation(name => {
+      if (name === 'organization') return 'test-org';
+      if (name === 'token') return 'test-token';
+      return '';
+    });
+
+    const config = initializeConfig();
+
+    expect(config.organization).toBe('test-org');
+    expect(config.organizations).toEqual(['test-org']);
+    expect(config.enterprise).toBe('');
+    expect(config.perOrganization).toBe(false);
+    expect(config.token).toBe('test-token');
+    expect(config.days).toBe(30);
+    expect(config.windows).toEqual([30]);
+    expect(config.timeZone).toBe('UTC');
+    expect(config.graphqlUrl).toBe('https://api.github.com/graphql');
+    expect(config.color).toBe('blue');
+    expect(config.labelColor).toBe('555');
+    expect(config.readmePath).toBe('');
+    expect(config.startMarker).toBe('<!-- start organization badges -->');
+    expect(config.endMarker).toBe('<!-- end organization badges -->');
+    expect(config.commit).toBe(false);
+    expect(config.commitMessage).toBe('docs: update organization readme badges');
+    expect(config.pullRequest).toBe(false);
+    expect(config.pullRequestBranch).toBe('organization-readme-badges');
+    expect(config.renderer).toBe('shields');
+    expect(config.svgDirectory).toBe('badges');
+    expect(config.format).toBe('markdown');
+    expect(config.endpointDirectory).toBe('');
+    expect(config.endpointUrl).toBe('');
+    expect(config.links).toBe(false);
+    expect(config.linkTemplates).toEqual({});
+    expect(config.metricColors).toEqual({});
+    expect(config.colorThresholds).toEqual({});
+    expect(config.locale).toBe('');
+    expect(config.labels).toEqual({});
+    expect(config.numberFormat).toBe('raw');
+    expect(config.style).toBe('flat');
+    expect(config.logo).toBe('');
+    expect(config.logoColor).toBe('');
+    expect(config.metrics).toEqual(['repositories', 'pull_requests_created', 'pull_requests_merged']);
+    expect(config.excludeContributors).toEqual(['*[bot]']);
+    expect(config.excludeAuthors).toEqual([]);
+    expect(config.topLanguages).toBe(3);
+    expect(config.repositoryFilters).toEqual(
+      expect.objectContaining({ visibility: [], topics: [], includeRepositories: [], excludeRepositories: [] })
+    );
+    expect(config.pullRequestStrategy).toBe('repository');
+    expect(config.userRepositories).toBe('owned');
+    expect(config.historyPath).toBe('');
+    expect(config.trend).toBe('previous_run');
+    expect(config.trendUpColor).toBe('green');
+    expect(config.trendDownColor).toBe('red');
+    expect(config.graphqlClient).toBeDefined();
+  });
+
+  it('should throw error when endpoint_url is set without endpoint_directory', () => {
+    getInputSpy.mockImplementation(name => {
+      if (name === 'organization') return 'test-org';
+      if (name === 'token') return 'test-token';
+      if (name === 'endpoint_url') return 'https://my-org.github.io/stats';
+      return '';
+    });
+    expect(() => initializeConfig()).toThrow(`'endpoint_directory' is required when 'endpoint_url' is set`);
+  });
+
+  it('should throw error when endpoint_url is used with the svg renderer', () => {
+    getInputSpy.mockImplementation(name => {
+      if (name === 'organization') return 'test-org';
+      if (name === 'token') return 'test-token';
+      if (name === 'endpoint_directory') return 'stats';
+      if (name === 'endpoint_url') return 'https://my-org.github.io/stats';
+      if (name === 'renderer') return 'svg';
+      return '';
+    });
+    expect(() => initializeConfig()).toThrow(`'endpoint_url' can't be used when 'renderer' is 'svg'`);
+  });
 
-    expect(config.organization).toBe('test-org');
-    expect(config.token).toBe('test-token');
-    expect(config.days).toBe(30);
-    expect(config.graphqlUrl).toBe('https://api.github.com/graphql');
-    expect(config.color).toBe('blue');
-    expect(config.labelColor).toBe('555');
-    expect(config.graphqlClient).toBeDefined();
+  it('should validate the colors, style and logo', () => {
+    getInputSpy.mockImplementation(name => {
+      if (name === 'organization') return 'test-org';
+      if (name === 'token') return 'test-token';
+      if (name === 'color') return '#4c1';
+      if (name === 'metric_colors') return 'repositories: purple';
+      if (name === 'style') return 'flat-square';
+      if (name === 'logo') return 'github';
+      if (name === 'logo_color') return 'white';
+      return '';
+    });
+
+    const config = initializeConfig();
+
+    expect(config.color).toBe('4c1');
+    expect(config.metricColors).toEqual({ repositories: 'purple' });
+    expect(config.style).toBe('flat-square');
+    expect(config.logo).toBe('github');
+    expect(config.logoColor).toBe('white');
+  });
+
+  it.each([
+    ['label_color', '#55', `Invalid 'label_color' input: '#55' is not a valid hex color`],
+    ['trend_up_color', '#00ff0', `Invalid 'trend_up_color' input: '#00ff0' is not a valid hex color`],
+    ['logo_color', 'ff00zz', `Invalid 'logo_color' input: 'ff00zz' is not a valid color`],
+    ['style', 'rounded', `Invalid 'style' input: must be one of flat, flat-square, plastic, for-the-badge, social`]
+  ])('should throw error when %s is invalid', (input, value, message) => {
+    getInputSpy.mockImplementation(name => {
+      if (name === 'organization') return 'test-org';
+      if (name === 'token') return 'test-token';
+      if (name === input) return value;
+      return '';
+    });
+    expect(() => initializeConfig()).toThrow(message);
+  });
+
+  it('should warn that the svg renderer ignores the style and logo', () => {
+    getInputSpy.mockImplementation(name => {
+      if (name === 'organization') return 'test-org';
+      if (name === 'token') return 'test-token';
+      if (name === 'renderer') return 'svg';
+      if (name === 'style') return 'plastic';
+      return '';
+    });
+
+    initializeConfig();
+
+    expect(core.warning).toHaveBeenCalledWith(
+      `'style' and 'logo' are not supported by the svg renderer and are ignored`
+    );
+  });
+
+  it.each(['fr', 'de_DE'])('should throw error when locale %s is not supported', locale => {
+    getInputSpy.mockImplementation(name => {
+      if (name === 'organization') return 'test-org';
+      if (name === 'token') return 'test-token';
+      if (name === 'locale') return locale;
+      return '';
+    });
+    expect(() => initializeConfig()).toThrow(
+      `Invalid 'locale' input: must be one of en, de, ja, optionally with a region such as de-CH`
+    );
+  });
+
+  it('should accept a locale with a region', () => {
+    getInputSpy.mockImplementation(name => {
+      if (name === 'organization') return 'test-org';
+      if (name === 'token') return 'test-token';
+      if (name === 'locale') return 'de-CH';
+      if (name === 'labels') return 'stars: Sterne von {org}';
+      return '';
+    });
+
+    const config = initializeConfig();
+
+    expect(config.locale).toBe('de-CH');
+    expect(config.labels).toEqual({ stars: 'Sterne von {org}' });
+    expect(config.numberFormat).toBe('grouped');
+  });
+
+  it('should throw error when number_format is invalid', () => {
+    getInputSpy.mockImplementation(name => {
+      if (name === 'organization') return 'test-org';
+      if (name === 'token') return 'test-token';
+      if (name === 'number_format') return 'scientific';
+      return '';
+    });
+    expect(() => initializeConfig()).toThrow(`Invalid 'number_format' input: must be one of raw, grouped, compact`);
+  });
+
+  it('should throw error when user_repositories is invalid', () => {
+    getInputSpy.mockImplementation(name => {
+      if (name === 'organization') return 'octocat';
+      if (name === 'token') return 'test-token';
+      if (name === 'user_repositories') return 'starred';
+      return '';
+    });
+    expect(() => initializeConfig()).toThrow(`Invalid 'user_repositories' input: must be one of owned, contributed`);
+  });
+
+  it('should accept a list of organizations or an enterprise', () => {
+    getInputSpy.mockImplementation(name => {
+      if (name === 'organization') return 'org-a, org-b';
+      if (name === 'token') return 'test-token';
+      return '';
+    });
+    expect(initializeConfig()).toEqual(
+      expect.objectContaining({ organization: 'org-a', organizations: ['org-a', 'org-b'], enterprise: '' })
+    );
+
+    getInputSpy.mockImplementation(name => {
+      if (name === 'enterprise') return 'acme';
+      if (name === 'token') return 'test-token';
+      return '';
+    });
+    expect(initializeConfig()).toEqual(expect.objectContaining({ organizations: [], enterprise: 'acme' }));
+  });
+
+  it('should throw error when organizations are listed more than once', () => {
+    getInputSpy.mockImplementation(name => {
+      if (name === 'organization') return 'org-a\nOrg-A';
+      if (name === 'token') return 'test-token';
+      return '';
+    });
+    expect(() => initializeConfig()).toThrow(`Invalid 'organization' input: 'Org-A' is listed more than once`);
+  });
+
+  it('should ignore the organization when an enterprise is set', () => {
+    getInputSpy.mockImplementation(name => {
+      if (name === 'organization') return 'org-a';
+      if (name === 'enterprise') return 'acme';
+      if (name === 'token') return 'test-token';
+      return '';
+    });
+    expect(initializeConfig()).toEqual(
+      expect.objectContaining({ organization: '', organizations: [], enterprise: 'acme' })
+    );
+  });
+
+  it('should throw error when format is invalid', () => {
+    getInputSpy.mockImplementation(name => {
+      if (name === 'organization') return 'test-org';
+      if (name === 'token') return 'test-token';
+      if (name === 'format') return 'textile';
+      return '';
+    });
+    expect(() => initializeConfig()).toThrow(
+      `Invalid 'format' input: must be one of markdown, html, rst, asciidoc, json`
+    );
+  });
+
+  it('should throw error when trend is invalid', () => {
+    getInputSpy.mockImplementation(name => {
+      if (name === 'organization') return 'test-org';
+      if (name === 'token') return 'test-token';
+      if (name === 'trend') return 'yesterday';
+      return '';
+    });
+    expect(() => initializeConfig()).toThrow(`Invalid 'trend' input: must be one of previous_run, previous_window`);
+  });
+
+  it('should throw error when pull_request_strategy is invalid', () => {
+    getInputSpy.mockImplementation(name => {
+      if (name === 'organization') return 'test-org';
+      if (name === 'token') return 'test-token';
+      if (name === 'pull_request_strategy') return 'graphql';
+      return '';
+    });
+    expect(() => initializeConfig()).toThrow(
+      `Invalid 'pull_request_strategy' input: must be one of repository, search`
+    );
+  });
+
+  it('should parse the contributor exclusion list', () => {
+    getInputSpy.mockImplementation(name => {
+      if (name === 'organization') return 'test-org';
+      if (name === 'token') return 'test-token';
+      if (name === 'exclude_contributors') return '*[bot]\nci-robot';
+      return '';
+    });
+    expect(initializeConfig().excludeContributors).toEqual(['*[bot]', 'ci-robot']);
+  });
+
+  it('should parse exclude_authors', () => {
+    getInputSpy.mockImplementation(name => {
+      if (name === 'organization') return 'test-org';
+      if (name === 'token') return 'test-token';
+      if (name === 'exclude_authors') return '*[bot], release-robot';
+      return '';
+    });
+    expect(initializeConfig().excludeAuthors).toEqual(['*[bot]', 'release-robot']);
+    expect(core.warning).not.toHaveBeenCalled();
+  });
+
+  it('should warn when automated metrics are selected without exclude_authors', () => {
+    getInputSpy.mockImplementation(name => {
+      if (name === 'organization') return 'test-org';
+      if (name === 'token') return 'test-token';
+      if (name === 'metrics') return 'automated_pull_requests_merged';
+      return '';
+    });
+    initializeConfig();
+    expect(core.warning).toHaveBeenCalledWith(
+      `Automated PR metrics only count PRs by authors listed in 'exclude_authors', which is empty`
+    );
+  });
+
+  it.each(['0', '-2', '1.5', 'three'])('should throw error when top_languages is %p', value => {
+    getInputSpy.mockImplementation(name => {
+      if (name === 'organization') return 'test-org';
+      if (name === 'token') return 'test-token';
+      if (name === 'top_languages') return value;
+      return '';
+    });
+    expect(() => initializeConfig()).toThrow(`Invalid 'top_languages' input: must be a positive integer`);
+  });
+
+  it('should read the repository filters', () => {
+    getInputSpy.mockImplementation(name => {
+      if (name === 'organization') return 'test-org';
+      if (name === 'token') return 'test-token';
+      if (name === 'visibility') return 'Public, internal';
+      if (name === 'topics') return 'service';
+      if (name === 'include_repositories') return 'app-*';
+      if (name === 'exclude_repositories') return '*-test\nsandbox';
+      return '';
+    });
+    core.getBooleanInput.mockImplementation(name => name === 'include_forks');
+
+    const config = initializeConfig();
+    core.getBooleanInput.mockReturnValue(false);
+
+    expect(config.repositoryFilters).toEqual({
+      includeArchived: false,
+      includeForks: true,
+      includeTemplates: false,
+      visibility: ['public', 'internal'],
+      topics: ['service'],
+      includeRepositories: ['app-*'],
+      excludeRepositories: ['*-test', 'sandbox']
+    });
+  });
+
+  it('should throw error when visibility is invalid', () => {
+    getInputSpy.mockImplementation(name => {
+      if (name === 'organization') return 'test-org';
+      if (name === 'token') return 'test-token';
+      if (name === 'visibility') return 'public,secret';
+      return '';
+    });
+    expect(() => initializeConfig()).toThrow(
+      `Invalid 'visibility' input: 'secret' must be one of public, private, internal`
+    );
+  });
+
+  it('should throw error when metrics contains an unknown metric', () => {
+    getInputSpy.mockImplementation(name => {
+      if (name === 'organization') return 'test-org';
+      if (name === 'token') return 'test-token';
+      if (name === 'metrics') return 'repositories,unknown';
+      return '';
+    });
+    expect(() => initializeConfig()).toThrow(`Invalid 'metrics' input: unknown metric 'unknown'`);
+  });
+
+  it('should throw error when renderer is invalid', () => {
+    getInputSpy.mockImplementation(name => {
+      if (name === 'organization') return 'test-org';
+      if (name === 'token') return 'test-token';
+      if (name === 'renderer') return 'png';
+      return '';
+    });
+    expect(() => initializeConfig()).toThrow(`Invalid 'renderer' input: must be one of shields, svg`);
+  });
+
+  it('should allow commit without readme_path when using the svg renderer', () => {
+    getInputSpy.mockImplementation(name => {
+      if (name === 'organization') return 'test-org';
+      if (name === 'token') return 'test-token';
+      if (name === 'renderer') return 'svg';
+      if (name === 'svg_directory') return 'profile/badges';
+      if (name === 'repository') return 'test-org/.github';
+      return '';
+    });
+    core.getBooleanInput.mockImplementation(name => name === 'commit');
+
+    const config = initializeConfig();
+    core.getBooleanInput.mockReturnValue(false);
+
+    expect(config.commit).toBe(true);
+    expect(config.renderer).toBe('svg');
+    expect(config.svgDirectory).toBe('profile/badges');
+  });
+
+  it('should throw error when commit is enabled without readme_path', () => {
+    getInputSpy.mockImplementation(name => {
+      if (name === 'organization') return 'test-org';
+      if (name === 'token') return 'test-token';
+      return '';
+    });
+    core.getBooleanInput.mockImplementation(name => name === 'commit');
+
+    expect(() => initializeConfig()).toThrow(`'readme_path' is required when 'commit' is true`);
+    core.getBooleanInput.mockReturnValue(false);
+  });
+
+  it('should accept committing only the endpoint files', () => {
+    getInputSpy.mockImplementation(name => {
+      if (name === 'organization') return 'my-org';
+      if (name === 'token') return 'test-token';
+      if (name === 'endpoint_directory') return 'docs/stats';
+      if (name === 'endpoint_url') return 'https://my-org.github.io/stats';
+      if (name === 'repository') return 'my-org/my-org.github.io';
+      return '';
+    });
+    core.getBooleanInput.mockImplementation(name => name === 'commit');
+
+    const config = initializeConfig();
+
+    expect(config).toEqual(expect.objectContaining({ commit: true, readmePath: '', endpointDirectory: 'docs/stats' }));
+    core.getBooleanInput.mockReturnValue(false);
+  });
+
+  it('should read commit options when commit is enabled', () => {
+    getInputSpy.mockImplementation(name => {
+      if (name === 'organization') return 'test-org';
+      if (name === 'token') return 'test-token';
+      if (name === 'readme_path') return 'profile/README.md';
+      if (name === 'repository') return 'test-org/.github';
+      if (name === 'branch') return 'main';
+      if (name === 'commit_message') return 'chore: badges';
+      if (name === 'pull_request_branch') return 'badges';
+      return '';
+    });
+    core.getBooleanInput.mockReturnValue(true);
+
+    const config = initializeConfig();
+    core.getBooleanInput.mockReturnValue(false);
+
+    expect(config.commit).toBe(true);
+    expect(config.repository).toBe('test-org/.github');
+    expect(config.branch).toBe('main');
+    expect(config.commitMessage).toBe('chore: badges');
+    expect(config.pullRequest).toBe(true);
+    expect(config.pullRequestBranch).toBe('badges');
+  });
+
+  it('should throw error when commit is enabled with an invalid repository', () => {
+    getInputSpy.mockImplementation(name => {
+      if (name === 'organization') return 'test-org';
+      if (name === 'token') return 'test-token';
+      if (name === 'readme_path') return 'profile/README.md';
+      if (name === 'repository') return 'not-a-repo';
+      return '';
+    });
+    core.getBooleanInput.mockImplementation(name => name === 'commit');
+
+    expect(() => initializeConfig()).toThrow(`Invalid 'repository' input`);
+    core.getBooleanInput.mockReturnValue(false);
   });
 
   it('should throw error when days is not a valid number', () => {
@@ -814,6 +4880,56 @@ describe('initializeConfig', () => {
     expect(() => initializeConfig()).toThrow(`Invalid 'days' input: must be a positive integer`);
   });
 
+  it('should parse a list of windows', () => {
+    getInputSpy.mockImplementation(name => {
+      if (name === 'organization') return 'test-org';
+      if (name === 'token') return 'test-token';
+      if (name === 'days') return '7, 30,90';
+      return '';
+    });
+
+    const config = initializeConfig();
+
+    expect(config.days).toBe(7);
+    expect(config.windows).toEqual([7, 30, 90]);
+  });
+
+  it('should parse named periods and the time zone', () => {
+    getInputSpy.mockImplementation(name => {
+      if (name === 'organization') return 'test-org';
+      if (name === 'token') return 'test-token';
+      if (name === 'days') return 'Last_Month, year_to_date, 30';
+      if (name === 'timezone') return 'Europe/Berlin';
+      return '';
+    });
+
+    const config = initializeConfig();
+
+    expect(config.days).toBe('last_month');
+    expect(config.windows).toEqual(['last_month', 'year_to_date', 30]);
+    expect(config.timeZone).toBe('Europe/Berlin');
+  });
+
+  it('should throw error when the time zone is unknown', () => {
+    getInputSpy.mockImplementation(name => {
+      if (name === 'organization') return 'test-org';
+      if (name === 'token') return 'test-token';
+      if (name === 'timezone') return 'Mars/Olympus_Mons';
+      return '';
+    });
+    expect(() => initializeConfig()).toThrow(`Invalid 'timezone' input: 'Mars/Olympus_Mons' is not an IANA time zone`);
+  });
+
+  it('should throw error when a window is listed more than once', () => {
+    getInputSpy.mockImplementation(name => {
+      if (name === 'organization') return 'test-org';
+      if (name === 'token') return 'test-token';
+      if (name === 'days') return '30,7,30';
+      return '';
+    });
+    expect(() => initializeConfig()).toThrow(`Invalid 'days' input: 30 is listed more than once`);
+  });
+
   it('should throw error when days is a decimal', () => {
     getInputSpy.mockImplementation(name => {
       if (name === 'organization') return 'test-org';
@@ -832,6 +4948,9 @@ describe('initializeConfig', () => {
       if (name === 'graphql_url') return 'https://custom.github.com/graphql';
       if (name === 'color') return 'green';
       if (name === 'label_color') return '999';
+      if (name === 'readme_path') return 'profile/README.md';
+      if (name === 'start_marker') return '<!-- badges -->';
+      if (name === 'end_marker') return '<!-- /badges -->';
       return '';
     });
 
@@ -843,5 +4962,8 @@ describe('initializeConfig', () => {
     expect(config.graphqlUrl).toBe('https://custom.github.com/graphql');
     expect(config.color).toBe('green');
     expect(config.labelColor).toBe('999');
+    expect(config.readmePath).toBe('profile/README.md');
+    expect(config.startMarker).toBe('<!-- badges -->');
+    expect(config.endMarker).toBe('<!-- /badges -->');
   });
 });
@@ -1,11 +1,58 @@
 import * as core from '@actions/core';
 import { graphql } from '@octokit/graphql';
+import fs from 'node:fs';
+import path from 'node:path';
 
 // Default values
 const DEFAULT_DAYS = 30;
 const DEFAULT_GRAPHQL_URL = 'https://api.github.com/graphql';
 const DEFAULT_COLOR = 'blue';
 const DEFAULT_LABEL_COLOR = '555';
+const DEFAULT_START_MARKER = '<!-- start organization badges -->';
+const DEFAULT_END_MARKER = '<!-- end organization badges -->';
+const DEFAULT_COMMIT_MESSAGE = 'docs: update organization readme badges';
+const DEFAULT_PULL_REQUEST_BRANCH = 'organization-readme-badges';
+const DEFAULT_RENDERER = 'shields';
+const DEFAULT_SVG_DIRECTORY = 'badges';
+const RENDERERS = ['shields', 'svg'];
+const DEFAULT_FORMAT = 'markdown';
+const FORMATS = ['markdown', 'html', 'rst', 'asciidoc', 'json'];
+const DEFAULT_STYLE = 'flat';
+const STYLES = ['flat', 'flat-square', 'plastic', 'for-the-badge', 'social'];
+const DEFAULT_METRICS = ['repositories', 'pull_requests_created', 'pull_requests_merged'];
+const DEFAULT_EXCLUDED_CONTRIBUTORS = ['*[bot]'];
+const DEFAULT_TOP_LANGUAGES = 3;
+const VISIBILITIES = ['public', 'private', 'internal'];
+// Languages fetched per repository; more than the top N so that languages that rank lower in many repositories still count
+const MIN_LANGUAGES_PER_REPOSITORY = 10;
+const DEFAULT_PULL_REQUEST_STRATEGY = 'repository';
+const PULL_REQUEST_STRATEGIES = ['repository', 'search'];
+const DEFAULT_USER_REPOSITORIES = 'owned';
+const USER_REPOSITORIES = ['owned', 'contributed'];
+// The search API only returns the first 1,000 results of a query, so larger ranges are split
+const SEARCH_RESULT_LIMIT = 1000;
+const MIN_SEARCH_RANGE_MS = 60 * 1000;
+const DEFAULT_TREND = 'previous_run';
+const TRENDS = ['previous_run', 'previous_window'];
+const DEFAULT_TREND_UP_COLOR = 'green';
+const DEFAULT_TREND_DOWN_COLOR = 'red';
+// Older runs are dropped from the history file so it doesn't grow forever
+const MAX_HISTORY_ENTRIES = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_TIMEZONE = 'UTC';
+const DEFAULT_LOCALE = 'en';
+const NUMBER_FORMATS = ['raw', 'grouped', 'compact'];
+const PERIODS = ['last_month', 'month_to_date', 'quarter_to_date', 'year_to_date'];
+// Pause until the rate limit resets once fewer points than this are left
+const RATE_LIMIT_MIN_REMAINING = 50;
+const MAX_RETRIES = 5;
+const RETRY_BASE_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 60 * 1000;
+// GitHub asks clients to wait at least a minute after hitting a secondary rate limit
+const SECONDARY_RATE_LIMIT_DELAY_MS = 60 * 1000;
+const RETRYABLE_STATUSES = [502, 503, 504];
+// Metrics that read individual pull requests and therefore always need the per-repository scan
+const PULL_REQUEST_SCAN_METRICS = ['contributors', 'automated_pull_requests_created', 'automated_pull_requests_merged'];
 
 // Exported function for validating required inputs
 export function validateRequiredInput(input, label) {
@@ -16,7 +63,531 @@ export function validateRequiredInput(input, label) {
 }
 
 /**
- * Creates a GraphQL client with authentication
+ * Splits a comma or newline separated input into its trimmed, non-empty values
+ * @param {string} input - The raw input value
+ * @returns {string[]} The list values
+ */
+export function parseList(input) {
+  return (input || '')
+    .split(/[,\n]/)
+    .map(value => value.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Checks whether a value matches a case-insensitive glob pattern, where `*` matches any
+ * sequence of characters and `?` matches a single character
+ * @param {string} value - The value to test
+ * @param {string} pattern - The glob pattern
+ * @returns {boolean} Whether the value matches
+ */
+export function matchesPattern(value, pattern) {
+  const source = pattern
+    .split('')
+    .map(char => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`, 'i').test(value);
+}
+
+/**
+ * Checks whether a value matches any of the given glob patterns
+ * @param {string} value - The value to test
+ * @param {string[]} patterns - The glob patterns
+ * @returns {boolean} Whether the value matches at least one pattern
+ */
+export function matchesAnyPattern(value, patterns) {
+  return patterns.some(pattern => matchesPattern(value, pattern));
+}
+
+/**
+ * Parses and validates the ordered list of metrics to render
+ * @param {string} input - Comma or newline separated metric names
+ * @returns {string[]} The metric names, or the default metrics when the input is empty
+ */
+export function parseMetrics(input) {
+  const metrics = parseList(input);
+  if (metrics.length === 0) {
+    return [...DEFAULT_METRICS];
+  }
+
+  const seen = new Set();
+  for (const metric of metrics) {
+    if (!Object.hasOwn(METRIC_PROVIDERS, metric)) {
+      throw new Error(
+        `Invalid 'metrics' input: unknown metric '${metric}'. Available metrics: ${Object.keys(METRIC_PROVIDERS).join(', ')}`
+      );
+    }
+    if (seen.has(metric)) {
+      throw new Error(`Invalid 'metrics' input: '${metric}' is listed more than once`);
+    }
+    seen.add(metric);
+  }
+  return metrics;
+}
+
+/**
+ * Parses per-metric settings, one `metric: value` pair per line
+ * @param {string} input - Newline separated `metric: value` pairs
+ * @param {string} inputName - The name of the input, for error messages
+ * @param {string} valueName - What the value is, for error messages
+ * @returns {Object<string, string>} The value of each metric
+ */
+const parseMetricSettings = (input, inputName, valueName) => {
+  const settings = {};
+  for (const line of (input || '').split('\n').map(value => value.trim())) {
+    if (!line) continue;
+    const match = line.match(/^([\w-]+)\s*:\s*(\S.*)$/);
+    if (!match) {
+      throw new Error(`Invalid '${inputName}' input: expected 'metric: ${valueName}', got '${line}'`);
+    }
+    const [, metric, value] = match;
+    if (!Object.hasOwn(METRIC_PROVIDERS, metric)) {
+      throw new Error(`Invalid '${inputName}' input: unknown metric '${metric}'`);
+    }
+    settings[metric] = value;
+  }
+  return settings;
+};
+
+/**
+ * Parses per-metric link templates, one `metric: url` pair per line
+ * @param {string} input - Newline separated `metric: url` pairs
+ * @returns {Object<string, string>} The link template of each metric
+ */
+export function parseLinkTemplates(input) {
+  return parseMetricSettings(input, 'link_templates', 'url');
+}
+
+/**
+ * Validates a shields.io color: a named color, a CSS color function, or a 3, 4, 6 or 8 digit hex
+ * color with or without `#`
+ * @param {string} value - The color
+ * @param {string} inputName - The name of the input, for error messages
+ * @returns {string} The color, without the `#` of hex colors
+ */
+export function parseColor(value, inputName) {
+  const color = String(value).trim();
+  if (/^#?[0-9a-f]+$/i.test(color) && (color.startsWith('#') || /\d/.test(color))) {
+    const hex = color.replace(/^#/, '');
+    if (![3, 4, 6, 8].includes(hex.length)) {
+      throw new Error(`Invalid '${inputName}' input: '${color}' is not a valid hex color`);
+    }
+    return hex;
+  }
+  if (!/^[a-z]+$/i.test(color) && !/^(rgba?|hsla?)\([\d\s.,%]+\)$/i.test(color)) {
+    throw new Error(`Invalid '${inputName}' input: '${color}' is not a valid color`);
+  }
+  return color;
+}
+
+/**
+ * Parses per-metric color thresholds, one `metric: rules` pair per line. The rules are checked in
+ * order and the first match wins: `red<10, yellow<=50, green` colors values below 10 red, values up
+ * to 50 yellow and everything else green. A rule without a comparison is the default and must come last.
+ * @param {string} input - Newline separated `metric: rules` pairs
+ * @returns {Object<string, {color: string, operator?: string, threshold?: number}[]>} The rules of each metric
+ */
+export function parseColorThresholds(input) {
+  const thresholds = parseMetricSettings(input, 'color_thresholds', 'rules');
+  for (const [metric, value] of Object.entries(thresholds)) {
+    // Split on commas outside parentheses, so rgb() colors keep their arguments
+    const rules = value.split(/,(?![^(]*\))/).map(rule => rule.trim());
+    thresholds[metric] = rules.map((rule, index) => {
+      const match = rule.match(/^(.+?)\s*(<=|>=|<|>)\s*(-?\d+(?:\.\d+)?)$/);
+      if (!match && index < rules.length - 1) {
+        throw new Error(
+          `Invalid 'color_thresholds' input: '${rule}' for '${metric}' has no comparison, only the last rule can be a default`
+        );
+      }
+      if (!match) {
+        return { color: parseColor(rule, 'color_thresholds') };
+      }
+      const [, color, operator, threshold] = match;
+      return { color: parseColor(color, 'color_thresholds'), operator, threshold: Number(threshold) };
+    });
+  }
+  return thresholds;
+}
+
+/**
+ * Returns the color of the first threshold rule that matches a value
+ * @param {{color: string, operator?: string, threshold?: number}[]} rules - The rules, in order
+ * @param {number} value - The metric value
+ * @returns {string|null} The color, or null when no rule matches
+ */
+export function getThresholdColor(rules, value) {
+  const compare = {
+    '<': threshold => value < threshold,
+    '<=': threshold => value <= threshold,
+    '>': threshold => value > threshold,
+    '>=': threshold => value >= threshold
+  };
+  const rule = (rules || []).find(({ operator, threshold }) => !operator || compare[operator](threshold));
+  return rule ? rule.color : null;
+}
+
+/**
+ * Parses per-metric message colors, one `metric: color` pair per line
+ * @param {string} input - Newline separated `metric: color` pairs
+ * @returns {Object<string, string>} The color of each metric
+ */
+export function parseMetricColors(input) {
+  const colors = parseMetricSettings(input, 'metric_colors', 'color');
+  for (const [metric, color] of Object.entries(colors)) {
+    colors[metric] = parseColor(color, 'metric_colors');
+  }
+  return colors;
+}
+
+/**
+ * Returns the URL of the GitHub web UI that belongs to a GraphQL API URL
+ * @param {string} [graphqlUrl] - The GraphQL API URL of GitHub.com, a GHE.com tenant or a GitHub Enterprise Server instance
+ * @returns {string} The server URL, such as https://github.com
+ */
+export function getServerUrl(graphqlUrl = DEFAULT_GRAPHQL_URL) {
+  const url = new URL(graphqlUrl);
+  if (url.hostname === 'api.github.com') {
+    return 'https://github.com';
+  }
+  // GHE.com tenants serve the API from api.<tenant>.ghe.com
+  if (url.hostname.startsWith('api.') && url.hostname.endsWith('.ghe.com')) {
+    return `${url.protocol}//${url.hostname.slice('api.'.length)}`;
+  }
+  // GitHub Enterprise Server serves the API from <host>/api/graphql
+  return url.origin;
+}
+
+/**
+ * Returns the calendar date and time of an instant in a time zone
+ * @param {Date} date - The instant
+ * @param {string} timeZone - The IANA time zone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}} The date parts, with a 1-based month
+ */
+const getZonedParts = (date, timeZone) => {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  });
+  return Object.fromEntries(formatter.formatToParts(date).map(({ type, value }) => [type, Number(value)]));
+};
+
+/**
+ * Returns the instant at which a calendar month starts in a time zone
+ * @param {number} year - The year
+ * @param {number} month - The 0-based month; values outside 0-11 roll over into other years
+ * @param {string} timeZone - The IANA time zone
+ * @returns {Date} Midnight on the first day of the month in the time zone
+ */
+export function startOfZonedMonth(year, month, timeZone) {
+  const utc = Date.UTC(year, month, 1);
+  const offsetAt = time => {
+    const parts = getZonedParts(new Date(time), timeZone);
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - time;
+  };
+  // The offset at UTC midnight can differ from the offset at local midnight around DST changes
+  const offset = offsetAt(utc);
+  const corrected = offsetAt(utc - offset);
+  return new Date(utc - corrected);
+}
+
+/**
+ * Built-in locale packs with the default badge labels and window phrases. Labels can use the
+ * `{org}` placeholder, and the labels of windowed metrics `{period}` and `{days}`. Month names
+ * come from Intl, so the `{month}` of a period is already localized.
+ */
+const LOCALES = {
+  en: {
+    labels: {
+      repositories: 'Total repositories',
+      pull_requests_created: 'PRs created {period}',
+      pull_requests_merged: 'Merged PRs {period}',
+      automated_pull_requests_created: 'Automated PRs created {period}',
+      automated_pull_requests_merged: 'Automated merged PRs {period}',
+      contributors: 'Contributors {period}',
+      stars: 'Total stars',
+      forks: 'Total forks',
+      stars_gained: 'Stars gained {period}',
+      issues_opened: 'Issues opened {period}',
+      issues_closed: 'Issues closed {period}',
+      issues_open: 'Open issues'
+    },
+    periods: {
+      days: 'in last {days} days',
+      month: 'in {month} {year}',
+      quarter: 'in Q{quarter} {year}',
+      year: 'in {year}'
+    }
+  },
+  de: {
+    labels: {
+      repositories: 'Repositorys gesamt',
+      pull_requests_created: 'Erstellte PRs {period}',
+      pull_requests_merged: 'Gemergte PRs {period}',
+      automated_pull_requests_created: 'Erstellte automatisierte PRs {period}',
+      automated_pull_requests_merged: 'Gemergte automatisierte PRs {period}',
+      contributors: 'Mitwirkende {period}',
+      stars: 'Sterne gesamt',
+      forks: 'Forks gesamt',
+      stars_gained: 'Neue Sterne {period}',
+      issues_opened: 'Eröffnete Issues {period}',
+      issues_closed: 'Geschlossene Issues {period}',
+      issues_open: 'Offene Issues'
+    },
+    periods: {
+      days: 'in den letzten {days} Tagen',
+      month: 'im {month} {year}',
+      quarter: 'im {quarter}. Quartal {year}',
+      year: 'im Jahr {year}'
+    }
+  },
+  ja: {
+    labels: {
+      repositories: 'リポジトリ総数',
+      pull_requests_created: '{period}に作成されたPR',
+      pull_requests_merged: '{period}にマージされたPR',
+      automated_pull_requests_created: '{period}に作成された自動PR',
+      automated_pull_requests_merged: '{period}にマージされた自動PR',
+      contributors: '{period}のコントリビューター',
+      stars: 'スター総数',
+      forks: 'フォーク総数',
+      stars_gained: '{period}に獲得したスター',
+      issues_opened: '{period}に作成されたIssue',
+      issues_closed: '{period}にクローズされたIssue',
+      issues_open: 'オープンなIssue'
+    },
+    periods: {
+      days: '過去{days}日間',
+      month: '{year}年{month}',
+      quarter: '{year}年第{quarter}四半期',
+      year: '{year}年'
+    }
+  }
+};
+
+/**
+ * Returns the locale pack of a locale, ignoring its region
+ * @param {string} [locale] - A locale such as de or de-CH
+ * @returns {{labels: Object<string, string>, periods: Object<string, string>}} The locale pack, English when there is none
+ */
+const getLocalePack = locale =>
+  LOCALES[
+    String(locale || DEFAULT_LOCALE)
+      .split('-')[0]
+      .toLowerCase()
+  ] || LOCALES.en;
+
+/**
+ * Describes the range of a window in a locale, such as `in last 30 days` or `im Juli 2026`
+ * @param {{key: string, days?: number, since: string}} window - The resolved window
+ * @param {{locale?: string, timeZone?: string}} [options] - The locale and the time zone the window was resolved in
+ * @returns {string} The phrase
+ */
+export function formatPeriod(window, options = {}) {
+  const locale = options.locale || DEFAULT_LOCALE;
+  const { periods } = getLocalePack(locale);
+  if (window.days) {
+    return expandTemplate(periods.days, { days: window.days });
+  }
+  // Periods start on the first of their first month, so the start tells the month, quarter and year
+  const { year, month } = getZonedParts(new Date(window.since), options.timeZone || DEFAULT_TIMEZONE);
+  const template = {
+    last_month: periods.month,
+    month_to_date: periods.month,
+    quarter_to_date: periods.quarter,
+    year_to_date: periods.year
+  }[window.key];
+  return expandTemplate(template, {
+    year,
+    month: new Date(Date.UTC(year, month - 1, 1)).toLocaleString(locale, { month: 'long', timeZone: 'UTC' }),
+    quarter: Math.ceil(month / 3)
+  });
+}
+
+/**
+ * Formats a badge value: raw (1234567), grouped in a locale (1,234,567 in en or 1.234.567 in de) or
+ * compact (1.2M in en or 1,2 Mio. in de). Values that aren't numbers are left as they are.
+ * @param {number|string} value - The value
+ * @param {string} [locale] - The locale, English when grouping or compacting without one
+ * @param {string} [numberFormat] - raw, grouped or compact; grouped when a locale is given and raw otherwise
+ * @returns {string} The formatted value
+ */
+export function formatNumber(value, locale, numberFormat = locale ? 'grouped' : 'raw') {
+  if (typeof value !== 'number' || numberFormat === 'raw') {
+    return String(value);
+  }
+  const formatOptions = numberFormat === 'compact' ? { notation: 'compact', maximumFractionDigits: 1 } : {};
+  return new Intl.NumberFormat(locale || DEFAULT_LOCALE, formatOptions).format(value);
+}
+
+/**
+ * Parses per-metric label templates, one `metric: label` pair per line
+ * @param {string} input - Newline separated `metric: label` pairs
+ * @returns {Object<string, string>} The label template of each metric
+ */
+export function parseLabelTemplates(input) {
+  const labels = parseMetricSettings(input, 'labels', 'label');
+  if (labels.languages) {
+    throw new Error(`Invalid 'labels' input: 'languages' badges are labeled with the language name`);
+  }
+  return labels;
+}
+
+/**
+ * Resolves a window from the `days` input to the range it covers
+ * @param {number|string} spec - A number of days, or one of the named periods last_month, month_to_date, quarter_to_date and year_to_date
+ * @param {{now?: Date, timeZone?: string}} [options] - The current time and the time zone that calendar periods are aligned to
+ * @returns {{key: string, days?: number, since: string, until: string|null, phrase: string}} The window; `until` is null when it ends now
+ */
+export function resolveWindow(spec, options = {}) {
+  const now = options.now || new Date();
+  if (typeof spec === 'number') {
+    const date = new Date(now);
+    date.setUTCDate(date.getUTCDate() - spec);
+    const window = { key: `${spec}d`, days: spec, since: date.toISOString(), until: null };
+    return { ...window, phrase: formatPeriod(window) };
+  }
+
+  const timeZone = options.timeZone || DEFAULT_TIMEZONE;
+  const { year, month } = getZonedParts(now, timeZone);
+  const currentMonth = month - 1;
+  const period = (since, until) => {
+    const window = { key: spec, since: since.toISOString(), until: until ? until.toISOString() : null };
+    return { ...window, phrase: formatPeriod(window, { timeZone }) };
+  };
+
+  switch (spec) {
+    case 'last_month':
+      return period(
+        startOfZonedMonth(year, currentMonth - 1, timeZone),
+        startOfZonedMonth(year, currentMonth, timeZone)
+      );
+    case 'month_to_date':
+      return period(startOfZonedMonth(year, currentMonth, timeZone), null);
+    case 'quarter_to_date':
+      return period(startOfZonedMonth(year, Math.floor(currentMonth / 3) * 3, timeZone), null);
+    case 'year_to_date':
+      return period(startOfZonedMonth(year, 0, timeZone), null);
+    default:
+      throw new Error(`Unknown period '${spec}'`);
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const isQuery = query => /^\s*query\b/.test(query);
+
+/**
+ * Adds the rateLimit field to a query so the client can track the remaining budget. Mutations
+ * don't expose it and are returned unchanged.
+ * @param {string} query - The GraphQL query
+ * @returns {string} The query with the rateLimit field
+ */
+export function addRateLimitField(query) {
+  if (!isQuery(query) || query.includes('rateLimit')) {
+    return query;
+  }
+  const end = query.lastIndexOf('}');
+  return `${query.slice(0, end)}  rateLimit {\n        cost\n        remaining\n        resetAt\n      }\n    ${query.slice(end)}`;
+}
+
+/**
+ * Returns how long to wait before retrying a failed request, or null when it should not be retried
+ * @param {Error & {status?: number, response?: {headers?: object}, headers?: object, errors?: {type?: string}[]}} error - The request error
+ * @param {number} attempt - The number of retries already made
+ * @param {function} [random] - Returns a random number between 0 and 1, used for jitter
+ * @returns {number|null} The delay in milliseconds
+ */
+export function getRetryDelay(error, attempt, random = Math.random) {
+  const headers = error.response?.headers || error.headers || {};
+  const backoff = Math.min(RETRY_BASE_DELAY_MS * 2 ** attempt, MAX_RETRY_DELAY_MS);
+  const jittered = Math.round(backoff / 2 + (random() * backoff) / 2);
+  const untilReset = () => {
+    const reset = Number(headers['x-ratelimit-reset']);
+    return reset ? Math.max(reset * 1000 - Date.now(), 0) + 1000 : SECONDARY_RATE_LIMIT_DELAY_MS;
+  };
+
+  if (RETRYABLE_STATUSES.includes(error.status)) {
+    return jittered;
+  }
+  if (error.status === 403 || error.status === 429) {
+    if (headers['retry-after']) {
+      return Number(headers['retry-after']) * 1000;
+    }
+    if (headers['x-ratelimit-remaining'] === '0') {
+      return untilReset();
+    }
+    if (/secondary rate limit/i.test(error.message)) {
+      return Math.max(SECONDARY_RATE_LIMIT_DELAY_MS, jittered);
+    }
+    return null;
+  }
+  if (error.errors?.some(graphqlError => graphqlError.type === 'RATE_LIMITED')) {
+    return untilReset();
+  }
+  return null;
+}
+
+/**
+ * Wraps a GraphQL client to track the rate limit budget, pause when it runs low and retry
+ * transient failures and rate limit errors with exponential backoff. Mutations are not retried,
+ * since a failed response doesn't tell whether the write already happened.
+ * @param {function} client - The GraphQL client to wrap
+ * @param {{sleep?: function, maxRetries?: number, random?: function}} [options] - Overrides for the delay, retry count and jitter
+ * @returns {function} The wrapped client, with a getUsage() method that returns the total query cost
+ */
+export function withRateLimitHandling(client, options = {}) {
+  const wait = options.sleep || sleep;
+  const maxRetries = options.maxRetries ?? MAX_RETRIES;
+  const usage = { queries: 0, cost: 0, remaining: null, resetAt: null };
+
+  const request = async (query, variables) => {
+    if (usage.remaining !== null && usage.remaining < RATE_LIMIT_MIN_REMAINING && usage.resetAt) {
+      const delay = new Date(usage.resetAt).getTime() - Date.now();
+      if (delay > 0) {
+        core.warning(`GraphQL rate limit is almost used up (${usage.remaining} left), waiting until ${usage.resetAt}`);
+        await wait(delay + 1000);
+      }
+      usage.remaining = null;
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const result = await client(addRateLimitField(query), variables);
+        usage.queries++;
+        if (result?.rateLimit) {
+          usage.cost += result.rateLimit.cost;
+          usage.remaining = result.rateLimit.remaining;
+          usage.resetAt = result.rateLimit.resetAt;
+        }
+        return result;
+      } catch (error) {
+        const delay = isQuery(query) && attempt < maxRetries ? getRetryDelay(error, attempt, options.random) : null;
+        if (delay === null) {
+          throw error;
+        }
+        core.warning(
+          `GraphQL request failed (${error.message}), retrying in ${Math.ceil(delay / 1000)}s (retry ${attempt + 1} of ${maxRetries})`
+        );
+        await wait(delay);
+      }
+    }
+  };
+  request.getUsage = () => ({ queries: usage.queries, cost: usage.cost, remaining: usage.remaining });
+
+  return request;
+}
+
+/**
+ * Creates a GraphQL client with authentication and rate limit handling
  * @param {string} authToken - The authentication token
  * @param {string} [baseUrl] - Optional custom GraphQL URL
  * @returns {function} The configured GraphQL client
@@ -35,112 +606,1605 @@ export function createGraphqlClient(authToken, baseUrl = DEFAULT_GRAPHQL_URL) {
     });
   }
 
-  return client;
+  return withRateLimitHandling(client);
 }
 
 /**
  * Initializes configuration from GitHub Actions inputs
- * @returns {{organization: string, token: string, days: number, graphqlUrl: string, color: string, labelColor: string, graphqlClient: function}} Configuration object
+ * @returns {{organization: string, organizations: string[], enterprise: string, perOrganization: boolean, token: string, days: number|string, windows: (number|string)[], timeZone: string, graphqlUrl: string, color: string, labelColor: string, metricColors: object, colorThresholds: object, locale: string, labels: object, numberFormat: string, style: string, logo: string, logoColor: string, readmePath: string, startMarker: string, endMarker: string, commit: boolean, repository: string, branch: string, commitMessage: string, pullRequest: boolean, pullRequestBranch: string, renderer: string, svgDirectory: string, endpointDirectory: string, endpointUrl: string, format: string, links: boolean, linkTemplates: object, historyPath: string, trend: string, trendUpColor: string, trendDownColor: string, metrics: string[], excludeContributors: string[], excludeAuthors: string[], topLanguages: number, repositoryFilters: object, pullRequestStrategy: string, userRepositories: string, graphqlClient: function}} Configuration object
  */
 export function initializeConfig() {
-  const org = core.getInput('organization');
+  const enterprise = core.getInput('enterprise');
+  // The organization input defaults to the repository owner, so an enterprise takes precedence over it
+  const organizations = enterprise ? [] : parseList(core.getInput('organization'));
+  for (const [index, organization] of organizations.entries()) {
+    if (organizations.findIndex(value => value.toLowerCase() === organization.toLowerCase()) !== index) {
+      throw new Error(`Invalid 'organization' input: '${organization}' is listed more than once`);
+    }
+  }
+  const perOrganization = core.getBooleanInput('per_organization');
   const tkn = core.getInput('token');
-  const daysInput = core.getInput('days');
-  let numDays = DEFAULT_DAYS;
-  if (daysInput) {
-    const parsedDays = Number(daysInput);
-    if (!Number.isInteger(parsedDays) || parsedDays <= 0) {
-      throw new Error(`Invalid 'days' input: must be a positive integer`);
+  const daysInput = parseList(core.getInput('days'));
+  const windows = daysInput.length > 0 ? [] : [DEFAULT_DAYS];
+  for (const value of daysInput) {
+    const window = PERIODS.includes(value.toLowerCase()) ? value.toLowerCase() : Number(value);
+    if (typeof window === 'number' && (!Number.isInteger(window) || window <= 0)) {
+      throw new Error(`Invalid 'days' input: must be a positive integer or one of ${PERIODS.join(', ')}`);
+    }
+    if (windows.includes(window)) {
+      throw new Error(`Invalid 'days' input: ${window} is listed more than once`);
     }
-    numDays = parsedDays;
+    windows.push(window);
+  }
+  const numDays = windows[0];
+  const timeZone = core.getInput('timezone') || DEFAULT_TIMEZONE;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch {
+    throw new Error(`Invalid 'timezone' input: '${timeZone}' is not an IANA time zone`);
   }
   const gqlUrl = core.getInput('graphql_url') || DEFAULT_GRAPHQL_URL;
-  const badgeColor = core.getInput('color') || DEFAULT_COLOR;
-  const badgeLabelColor = core.getInput('label_color') || DEFAULT_LABEL_COLOR;
+  const badgeColor = parseColor(core.getInput('color') || DEFAULT_COLOR, 'color');
+  const badgeLabelColor = parseColor(core.getInput('label_color') || DEFAULT_LABEL_COLOR, 'label_color');
+  const metricColors = parseMetricColors(core.getInput('metric_colors'));
+  const colorThresholds = parseColorThresholds(core.getInput('color_thresholds'));
+  const locale = core.getInput('locale');
+  if (locale) {
+    let supported = Object.hasOwn(LOCALES, locale.split('-')[0].toLowerCase());
+    try {
+      Intl.getCanonicalLocales(locale);
+    } catch {
+      supported = false;
+    }
+    if (!supported) {
+      throw new Error(
+        `Invalid 'locale' input: must be one of ${Object.keys(LOCALES).join(', ')}, optionally with a region such as de-CH`
+      );
+    }
+  }
+  const labels = parseLabelTemplates(core.getInput('labels'));
+  const numberFormat = core.getInput('number_format') || (locale ? 'grouped' : 'raw');
+  if (!NUMBER_FORMATS.includes(numberFormat)) {
+    throw new Error(`Invalid 'number_format' input: must be one of ${NUMBER_FORMATS.join(', ')}`);
+  }
+  const style = core.getInput('style') || DEFAULT_STYLE;
+  if (!STYLES.includes(style)) {
+    throw new Error(`Invalid 'style' input: must be one of ${STYLES.join(', ')}`);
+  }
+  const logo = core.getInput('logo');
+  const logoColorInput = core.getInput('logo_color');
+  const logoColor = logoColorInput ? parseColor(logoColorInput, 'logo_color') : '';
+  const readme = core.getInput('readme_path');
+  const startMarker = core.getInput('start_marker') || DEFAULT_START_MARKER;
+  const endMarker = core.getInput('end_marker') || DEFAULT_END_MARKER;
+  const commit = core.getBooleanInput('commit');
+  const repository = core.getInput('repository') || process.env.GITHUB_REPOSITORY || '';
+  const branch = core.getInput('branch');
+  const commitMessage = core.getInput('commit_message') || DEFAULT_COMMIT_MESSAGE;
+  const pullRequest = core.getBooleanInput('pull_request');
+  const pullRequestBranch = core.getInput('pull_request_branch') || DEFAULT_PULL_REQUEST_BRANCH;
+  const renderer = core.getInput('renderer') || DEFAULT_RENDERER;
+  if (!RENDERERS.includes(renderer)) {
+    throw new Error(`Invalid 'renderer' input: must be one of ${RENDERERS.join(', ')}`);
+  }
+  const svgDirectory = core.getInput('svg_directory') || DEFAULT_SVG_DIRECTORY;
+  const endpointDirectory = core.getInput('endpoint_directory');
+  const endpointUrl = core.getInput('endpoint_url');
+  if (endpointUrl) {
+    if (!endpointDirectory) {
+      throw new Error(`'endpoint_directory' is required when 'endpoint_url' is set`);
+    }
+    if (renderer === 'svg') {
+      throw new Error(`'endpoint_url' can't be used when 'renderer' is 'svg'`);
+    }
+  }
+  if (renderer === 'svg' && (style !== DEFAULT_STYLE || logo)) {
+    core.warning(`'style' and 'logo' are not supported by the svg renderer and are ignored`);
+  }
+  const links = core.getBooleanInput('links');
+  const linkTemplates = parseLinkTemplates(core.getInput('link_templates'));
+  const format = core.getInput('format') || DEFAULT_FORMAT;
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Invalid 'format' input: must be one of ${FORMATS.join(', ')}`);
+  }
+  const historyPath = core.getInput('history_path');
+  const trend = core.getInput('trend') || DEFAULT_TREND;
+  if (!TRENDS.includes(trend)) {
+    throw new Error(`Invalid 'trend' input: must be one of ${TRENDS.join(', ')}`);
+  }
+  const trendUpColor = parseColor(core.getInput('trend_up_color') || DEFAULT_TREND_UP_COLOR, 'trend_up_color');
+  const trendDownColor = parseColor(core.getInput('trend_down_color') || DEFAULT_TREND_DOWN_COLOR, 'trend_down_color');
+  const pullRequestStrategy = core.getInput('pull_request_strategy') || DEFAULT_PULL_REQUEST_STRATEGY;
+  if (!PULL_REQUEST_STRATEGIES.includes(pullRequestStrategy)) {
+    throw new Error(`Invalid 'pull_request_strategy' input: must be one of ${PULL_REQUEST_STRATEGIES.join(', ')}`);
+  }
+  const userRepositories = core.getInput('user_repositories') || DEFAULT_USER_REPOSITORIES;
+  if (!USER_REPOSITORIES.includes(userRepositories)) {
+    throw new Error(`Invalid 'user_repositories' input: must be one of ${USER_REPOSITORIES.join(', ')}`);
+  }
+  const metrics = parseMetrics(core.getInput('metrics'));
+  const excludeContributorsInput = parseList(core.getInput('exclude_contributors'));
+  const excludeContributors =
+    excludeContributorsInput.length > 0 ? excludeContributorsInput : [...DEFAULT_EXCLUDED_CONTRIBUTORS];
+  const excludeAuthors = parseList(core.getInput('exclude_authors'));
+  const topLanguagesInput = core.getInput('top_languages');
+  let topLanguages = DEFAULT_TOP_LANGUAGES;
+  if (topLanguagesInput) {
+    topLanguages = Number(topLanguagesInput);
+    if (!Number.isInteger(topLanguages) || topLanguages <= 0) {
+      throw new Error(`Invalid 'top_languages' input: must be a positive integer`);
+    }
+  }
+  const visibility = parseList(core.getInput('visibility')).map(value => value.toLowerCase());
+  for (const value of visibility) {
+    if (!VISIBILITIES.includes(value)) {
+      throw new Error(`Invalid 'visibility' input: '${value}' must be one of ${VISIBILITIES.join(', ')}`);
+    }
+  }
+  const repositoryFilters = {
+    includeArchived: core.getBooleanInput('include_archived'),
+    includeForks: core.getBooleanInput('include_forks'),
+    includeTemplates: core.getBooleanInput('include_templates'),
+    visibility: visibility,
+    topics: parseList(core.getInput('topics')),
+    includeRepositories: parseList(core.getInput('include_repositories')),
+    excludeRepositories: parseList(core.getInput('exclude_repositories'))
+  };
+  if (excludeAuthors.length === 0 && metrics.some(metric => metric.startsWith('automated_'))) {
+    core.warning(`Automated PR metrics only count PRs by authors listed in 'exclude_authors', which is empty`);
+  }
 
-  validateRequiredInput(org, 'organization');
+  if (!enterprise) {
+    validateRequiredInput(organizations[0], 'organization');
+  }
   validateRequiredInput(tkn, 'token');
+  if (commit) {
+    // Without a README there must be generated files to commit: SVG badges, endpoint files or the history
+    if (!readme && renderer !== 'svg' && !endpointDirectory && !historyPath) {
+      throw new Error(
+        `'readme_path' is required when 'commit' is true, unless 'renderer' is 'svg' or 'endpoint_directory' or 'history_path' is set`
+      );
+    }
+    parseRepository(repository);
+  }
+
+  const client = createGraphqlClient(tkn, gqlUrl);
+
+  return {
+    organization: organizations[0] || '',
+    organizations: organizations,
+    enterprise: enterprise,
+    perOrganization: perOrganization,
+    token: tkn,
+    days: numDays,
+    windows: windows,
+    timeZone: timeZone,
+    graphqlUrl: gqlUrl,
+    color: badgeColor,
+    labelColor: badgeLabelColor,
+    metricColors: metricColors,
+    colorThresholds: colorThresholds,
+    locale: locale,
+    labels: labels,
+    numberFormat: numberFormat,
+    style: style,
+    logo: logo,
+    logoColor: logoColor,
+    readmePath: readme,
+    startMarker: startMarker,
+    endMarker: endMarker,
+    commit: commit,
+    repository: repository,
+    branch: branch,
+    commitMessage: commitMessage,
+    pullRequest: pullRequest,
+    pullRequestBranch: pullRequestBranch,
+    renderer: renderer,
+    svgDirectory: svgDirectory,
+    endpointDirectory: endpointDirectory,
+    endpointUrl: endpointUrl,
+    format: format,
+    links: links,
+    linkTemplates: linkTemplates,
+    historyPath: historyPath,
+    trend: trend,
+    trendUpColor: trendUpColor,
+    trendDownColor: trendDownColor,
+    metrics: metrics,
+    excludeContributors: excludeContributors,
+    excludeAuthors: excludeAuthors,
+    topLanguages: topLanguages,
+    repositoryFilters: repositoryFilters,
+    pullRequestStrategy: pullRequestStrategy,
+    userRepositories: userRepositories,
+    graphqlClient: client
+  };
+}
+
+/**
+ * Main execution function that generates badges and sets outputs
+ * @param {object} [config] - Optional configuration object (uses initializeConfig if not provided)
+ * @returns {Promise<string[]>} Array of badge markdown strings
+ */
+export async function run(config) {
+  const cfg = config || initializeConfig();
+
+  const organizations = cfg.enterprise
+    ? await getEnterpriseOrganizations(cfg.enterprise, cfg.graphqlClient)
+    : cfg.organizations || [cfg.organization];
+  let badgeData = await collectBadges(
+    organizations.length === 1 ? organizations[0] : organizations,
+    cfg.token,
+    cfg.days,
+    cfg.graphqlClient,
+    cfg.color,
+    cfg.labelColor,
+    cfg.graphqlUrl,
+    {
+      metrics: cfg.metrics,
+      windows: cfg.windows,
+      timeZone: cfg.timeZone,
+      excludeContributors: cfg.excludeContributors,
+      excludeAuthors: cfg.excludeAuthors,
+      topLanguages: cfg.topLanguages,
+      repositoryFilters: cfg.repositoryFilters,
+      pullRequestStrategy: cfg.pullRequestStrategy,
+      userRepositories: cfg.userRepositories,
+      links: cfg.links,
+      linkTemplates: cfg.linkTemplates,
+      metricColors: cfg.metricColors,
+      locale: cfg.locale,
+      labels: cfg.labels,
+      enterprise: cfg.enterprise,
+      perOrganization: cfg.perOrganization
+    }
+  );
+
+  const files = [];
+  if (cfg.historyPath) {
+    const history = readHistory(cfg.historyPath);
+    const now = new Date();
+    const specs = cfg.windows || [cfg.days || DEFAULT_DAYS];
+    const windows = specs.map(spec => resolveWindow(spec, { now, timeZone: cfg.timeZone }));
+    // Each window is compared with a run that counted it, at least its own length ago for previous_window
+    const previousByWindow = new Map();
+    for (const [index, window] of windows.entries()) {
+      const previous = findPreviousEntry(history, {
+        trend: cfg.trend || DEFAULT_TREND,
+        days: specs[index],
+        now,
+        windowLength: (window.until ? new Date(window.until) : now) - new Date(window.since)
+      });
+      previousByWindow.set(window.key, previous);
+      const values = windows.length > 1 ? ` for the values ${window.phrase}` : '';
+      if (previous) {
+        core.info(`Comparing${values} with the run from ${previous.timestamp}`);
+      } else {
+        core.info(`No earlier run${values} in ${cfg.historyPath} to compare with`);
+      }
+    }
+    files.push({
+      path: cfg.historyPath,
+      content: `${JSON.stringify(addHistoryEntry(history, badgeData, { days: specs[0], windows: specs, now }), null, 2)}\n`
+    });
+    // Badges that aren't counted per window are compared with the run of the first window
+    badgeData = applyTrends(badgeData, badge => previousByWindow.get(badge.window || windows[0].key), {
+      upColor: cfg.trendUpColor || DEFAULT_TREND_UP_COLOR,
+      downColor: cfg.trendDownColor || DEFAULT_TREND_DOWN_COLOR
+    });
+  }
+
+  const format = cfg.format || DEFAULT_FORMAT;
+  const rendered = renderBadges(badgeData, {
+    renderer: cfg.renderer,
+    svgDirectory: cfg.svgDirectory,
+    endpointDirectory: cfg.endpointDirectory,
+    endpointUrl: cfg.endpointUrl,
+    readmePath: cfg.readmePath,
+    format,
+    colorThresholds: cfg.colorThresholds,
+    locale: cfg.locale,
+    numberFormat: cfg.numberFormat,
+    style: cfg.style,
+    logo: cfg.logo,
+    logoColor: cfg.logoColor
+  });
+  const badges = rendered.badges;
+  files.unshift(...rendered.files);
+  core.info('');
+  const badgesMarkdown = rendered.content;
+  core.info(`Badge ${format}: ${badgesMarkdown}`);
+  core.setOutput('badges', badgesMarkdown);
+
+  let changed = writeFiles(files);
+  const commitList = files.map(file => ({ path: toRepositoryPath(file.path), content: file.content }));
+  if (cfg.readmePath) {
+    const readme = updateReadme(cfg.readmePath, badgesMarkdown, cfg.startMarker, cfg.endMarker);
+    core.info(
+      readme.changed ? `Updated badges in ${cfg.readmePath}` : `Badges in ${cfg.readmePath} are already up to date`
+    );
+    changed = changed || readme.changed;
+    commitList.unshift({ path: toRepositoryPath(cfg.readmePath), content: readme.content });
+  }
+  core.setOutput('changed', changed);
+
+  if (cfg.commit) {
+    const { commitSha, pullRequestUrl } = await commitFiles(
+      commitList,
+      {
+        repository: cfg.repository,
+        branch: cfg.branch,
+        message: cfg.commitMessage || DEFAULT_COMMIT_MESSAGE,
+        pullRequest: cfg.pullRequest,
+        pullRequestBranch: cfg.pullRequestBranch || DEFAULT_PULL_REQUEST_BRANCH
+      },
+      cfg.graphqlClient
+    );
+    core.setOutput('commit_sha', commitSha || '');
+    core.setOutput('pull_request_url', pullRequestUrl || '');
+  }
+
+  if (cfg.graphqlClient?.getUsage) {
+    const { queries, cost } = cfg.graphqlClient.getUsage();
+    core.info(`GraphQL rate limit cost: ${cost} points for ${queries} queries`);
+  }
+
+  return badges;
+}
+
+/**
+ * Counts the non-overlapping occurrences of a marker in some content
+ * @param {string} content - The content to search
+ * @param {string} marker - The marker to count
+ * @returns {number} The number of occurrences
+ */
+const countOccurrences = (content, marker) => content.split(marker).length - 1;
+
+/**
+ * Replaces everything between the start and end markers with the given content
+ * @param {string} content - The original content (e.g. a README)
+ * @param {string} replacement - The content to place between the markers
+ * @param {string} [startMarker] - The marker that opens the badge section
+ * @param {string} [endMarker] - The marker that closes the badge section
+ * @returns {string} The updated content
+ */
+export function replaceBetweenMarkers(
+  content,
+  replacement,
+  startMarker = DEFAULT_START_MARKER,
+  endMarker = DEFAULT_END_MARKER
+) {
+  for (const [name, marker] of [
+    ['Start', startMarker],
+    ['End', endMarker]
+  ]) {
+    const occurrences = countOccurrences(content, marker);
+    if (occurrences === 0) {
+      throw new Error(`${name} marker '${marker}' not found`);
+    }
+    if (occurrences > 1) {
+      throw new Error(`${name} marker '${marker}' found ${occurrences} times, expected exactly once`);
+    }
+  }
+
+  const startIndex = content.indexOf(startMarker);
+  const endIndex = content.indexOf(endMarker);
+  if (endIndex < startIndex + startMarker.length) {
+    throw new Error(`End marker '${endMarker}' must come after start marker '${startMarker}'`);
+  }
+
+  return `${content.slice(0, startIndex)}${startMarker}\n${replacement}\n${content.slice(endIndex)}`;
+}
+
+/**
+ * Writes the badges between the markers of a README file
+ * @param {string} readmePath - Path to the README file
+ * @param {string} badgesContent - The rendered badges
+ * @param {string} [startMarker] - The marker that opens the badge section
+ * @param {string} [endMarker] - The marker that closes the badge section
+ * @returns {{changed: boolean, content: string}} Whether the file changed and its updated content
+ */
+export function updateReadme(readmePath, badgesContent, startMarker, endMarker) {
+  let original;
+  try {
+    original = fs.readFileSync(readmePath, 'utf8');
+  } catch (error) {
+    throw new Error(`Unable to read README at '${readmePath}': ${error.message}`);
+  }
+
+  let content;
+  try {
+    content = replaceBetweenMarkers(original, badgesContent, startMarker, endMarker);
+  } catch (error) {
+    throw new Error(`Unable to update ${readmePath}: ${error.message}`);
+  }
+
+  const changed = content !== original;
+  if (changed) {
+    fs.writeFileSync(readmePath, content);
+  }
+
+  return { changed, content };
+}
+
+/**
+ * Writes generated files to disk, creating directories as needed and leaving unchanged files untouched
+ * @param {{path: string, content: string}[]} files - The files to write
+ * @returns {boolean} Whether any file was created or changed
+ */
+export function writeFiles(files) {
+  let changed = false;
+  for (const file of files) {
+    const existing = fs.existsSync(file.path) ? fs.readFileSync(file.path, 'utf8') : null;
+    if (existing === file.content) {
+      continue;
+    }
+    fs.mkdirSync(path.dirname(file.path), { recursive: true });
+    fs.writeFileSync(file.path, file.content);
+    core.info(`Wrote ${file.path}`);
+    changed = true;
+  }
+  return changed;
+}
+
+/**
+ * Reads the stats history file, or returns an empty history when it doesn't exist yet
+ * @param {string} historyPath - Path to the history JSON file
+ * @returns {{entries: {timestamp: string, days: number, metrics: object}[]}} The recorded runs
+ */
+export function readHistory(historyPath) {
+  if (!fs.existsSync(historyPath)) {
+    return { entries: [] };
+  }
+
+  let history;
+  try {
+    history = JSON.parse(fs.readFileSync(historyPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Unable to read history at '${historyPath}': ${error.message}`);
+  }
+  if (!Array.isArray(history?.entries)) {
+    throw new Error(`Unable to read history at '${historyPath}': expected an object with an 'entries' array`);
+  }
+  return history;
+}
+
+/**
+ * Finds the recorded run to compare the current values with. Only runs that counted the same window
+ * are considered, since their windowed values aren't comparable otherwise.
+ * @param {{entries: {timestamp: string, days: number|string, windows?: (number|string)[]}[]}} history - The recorded runs
+ * @param {{trend: string, days: number|string, now?: Date, windowLength?: number}} options - previous_run compares with the latest run,
+ * previous_window with the latest run at least one window length (in milliseconds, `days` days by default) ago
+ * @returns {{timestamp: string, days: number, metrics: object}|null} The run to compare with, if any
+ */
+export function findPreviousEntry(history, options) {
+  const now = options.now || new Date();
+  const windowLength = options.windowLength ?? options.days * DAY_MS;
+  const cutoff = options.trend === 'previous_window' ? now.getTime() - windowLength : now.getTime();
+
+  let previous = null;
+  for (const entry of history.entries) {
+    const time = new Date(entry.timestamp).getTime();
+    const counted = entry.days === options.days || entry.windows?.includes(options.days);
+    if (!counted || time > cutoff) continue;
+    if (!previous || time > new Date(previous.timestamp).getTime()) {
+      previous = entry;
+    }
+  }
+  return previous;
+}
+
+/**
+ * Records the numeric badge values of this run in the history, dropping the oldest runs beyond the limit
+ * @param {{entries: object[]}} history - The recorded runs
+ * @param {{metric: string, key?: string, message: number|string}[]} badgeData - The badges of this run
+ * @param {{days: number|string, windows?: (number|string)[], now?: Date}} options - The first window, every window when there
+ * are several, and the time of this run
+ * @returns {{entries: object[]}} The history with this run appended
+ */
+export function addHistoryEntry(history, badgeData, options) {
+  const metrics = {};
+  for (const { metric, key, message } of badgeData) {
+    if (typeof message === 'number') {
+      metrics[key || metric] = message;
+    }
+  }
+  const entry = {
+    timestamp: (options.now || new Date()).toISOString(),
+    days: options.days,
+    ...(options.windows?.length > 1 && { windows: options.windows }),
+    metrics
+  };
+  return { ...history, entries: [...history.entries, entry].slice(-MAX_HISTORY_ENTRIES) };
+}
+
+/**
+ * Formats the change between two values as a percentage with an arrow, such as ▲15%
+ * @param {number} value - The current value
+ * @param {number} previous - The previous value
+ * @returns {{direction: string, text: string}|null} The change, or null when there is no previous value to compare with
+ */
+export function formatTrend(value, previous) {
+  if (typeof previous !== 'number' || (previous === 0 && value !== 0)) {
+    return null;
+  }
+  const change = previous === 0 ? 0 : Math.round(((value - previous) / previous) * 100);
+  if (change > 0) return { direction: 'up', text: `▲${change}%` };
+  if (change < 0) return { direction: 'down', text: `▼${Math.abs(change)}%` };
+  return { direction: 'none', text: '±0%' };
+}
+
+/**
+ * Adds the change since a previous run to the badges and the color of its direction. The messages keep their raw
+ * values; renderBadges adds the trend to the badge text.
+ * @param {{metric: string, key?: string, message: number|string, color: string}[]} badgeData - The badges of this run
+ * @param {{metrics: object}|null|function} previous - The run to compare with, or a function that returns the run to
+ * compare a badge with
+ * @param {{upColor: string, downColor: string}} colors - The colors for rising and falling values
+ * @returns {object[]} The badges, with `trend` and `trendColor` where there is a change to show
+ */
+export function applyTrends(badgeData, previous, colors) {
+  if (!previous) {
+    return badgeData;
+  }
+  const previousOf = typeof previous === 'function' ? previous : () => previous;
+  return badgeData.map(badge => {
+    const trend =
+      typeof badge.message === 'number'
+        ? formatTrend(badge.message, previousOf(badge)?.metrics?.[badge.key || badge.metric])
+        : null;
+    if (!trend) {
+      return badge;
+    }
+    const trendColor = { up: colors.upColor, down: colors.downColor }[trend.direction];
+    return { ...badge, trend: trend.text, ...(trendColor && { trendColor }) };
+  });
+}
+
+/**
+ * Splits an `owner/name` repository string into its parts
+ * @param {string} repository - The repository in `owner/name` form
+ * @returns {{owner: string, name: string}} The repository owner and name
+ */
+export function parseRepository(repository) {
+  const parts = (repository || '').split('/');
+  if (parts.length !== 2 || !parts[0] || !parts[1]) {
+    throw new Error(`Invalid 'repository' input: expected 'owner/name', got '${repository || ''}'`);
+  }
+  return { owner: parts[0], name: parts[1] };
+}
+
+/**
+ * Converts a local file path into a path relative to the root of the checked out repository
+ * @param {string} filePath - The local file path
+ * @returns {string} The repository path using forward slashes
+ */
+export function toRepositoryPath(filePath) {
+  const root = process.env.GITHUB_WORKSPACE || process.cwd();
+  return path.relative(root, path.resolve(root, filePath)).split(path.sep).join('/');
+}
+
+export const getRepositoryInfo = async (owner, name, graphqlClient) => {
+  const { repository } = await graphqlClient(
+    `
+    query ($owner: String!, $name: String!) {
+      repository(owner: $owner, name: $name) {
+        id
+        defaultBranchRef {
+          name
+        }
+      }
+    }
+  `,
+    { owner, name }
+  );
+
+  return {
+    id: repository.id,
+    defaultBranch: repository.defaultBranchRef?.name
+  };
+};
+
+export const getBranchRef = async (owner, name, branch, graphqlClient) => {
+  const { repository } = await graphqlClient(
+    `
+    query ($owner: String!, $name: String!, $qualifiedName: String!) {
+      repository(owner: $owner, name: $name) {
+        ref(qualifiedName: $qualifiedName) {
+          id
+          target {
+            oid
+          }
+        }
+      }
+    }
+  `,
+    { owner, name, qualifiedName: `refs/heads/${branch}` }
+  );
+
+  return repository.ref ? { id: repository.ref.id, oid: repository.ref.target.oid } : null;
+};
+
+export const getBranchHead = async (owner, name, branch, graphqlClient) =>
+  (await getBranchRef(owner, name, branch, graphqlClient))?.oid || null;
+
+export const getFileContent = async (owner, name, oid, filePath, graphqlClient) => {
+  const { repository } = await graphqlClient(
+    `
+    query ($owner: String!, $name: String!, $expression: String!) {
+      repository(owner: $owner, name: $name) {
+        object(expression: $expression) {
+          ... on Blob {
+            text
+          }
+        }
+      }
+    }
+  `,
+    { owner, name, expression: `${oid}:${filePath}` }
+  );
+
+  return repository.object?.text ?? null;
+};
+
+/**
+ * Returns the files whose content differs from the content at the given commit
+ * @param {string} owner - The repository owner
+ * @param {string} name - The repository name
+ * @param {string} oid - The commit to compare against
+ * @param {{path: string, content: string}[]} files - The files to compare
+ * @param {function} graphqlClient - GraphQL client for API calls
+ * @returns {Promise<{path: string, content: string}[]>} The changed files
+ */
+export const getChangedFiles = async (owner, name, oid, files, graphqlClient) => {
+  const changedFiles = [];
+  for (const file of files) {
+    const current = await getFileContent(owner, name, oid, file.path, graphqlClient);
+    if (current !== file.content) {
+      changedFiles.push(file);
+    }
+  }
+  return changedFiles;
+};
+
+export const createBranch = async (repositoryId, branch, oid, graphqlClient) => {
+  await graphqlClient(
+    `
+    mutation ($input: CreateRefInput!) {
+      createRef(input: $input) {
+        ref {
+          name
+        }
+      }
+    }
+  `,
+    { input: { repositoryId, name: `refs/heads/${branch}`, oid } }
+  );
+};
+
+export const resetBranch = async (refId, oid, graphqlClient) => {
+  await graphqlClient(
+    `
+    mutation ($input: UpdateRefInput!) {
+      updateRef(input: $input) {
+        ref {
+          name
+        }
+      }
+    }
+  `,
+    { input: { refId, oid, force: true } }
+  );
+};
+
+export const createCommitOnBranch = async (repository, branch, expectedHeadOid, message, files, graphqlClient) => {
+  const { createCommitOnBranch: result } = await graphqlClient(
+    `
+    mutation ($input: CreateCommitOnBranchInput!) {
+      createCommitOnBranch(input: $input) {
+        commit {
+          oid
+          url
+        }
+      }
+    }
+  `,
+    {
+      input: {
+        branch: { repositoryNameWithOwner: repository, branchName: branch },
+        message: { headline: message },
+        expectedHeadOid,
+        fileChanges: {
+          additions: files.map(file => ({
+            path: file.path,
+            contents: Buffer.from(file.content).toString('base64')
+          }))
+        }
+      }
+    }
+  );
+
+  return result.commit;
+};
+
+export const getOpenPullRequest = async (owner, name, headBranch, baseBranch, graphqlClient) => {
+  const { repository } = await graphqlClient(
+    `
+    query ($owner: String!, $name: String!, $head: String!, $base: String!) {
+      repository(owner: $owner, name: $name) {
+        pullRequests(headRefName: $head, baseRefName: $base, states: OPEN, first: 1) {
+          nodes {
+            url
+          }
+        }
+      }
+    }
+  `,
+    { owner, name, head: headBranch, base: baseBranch }
+  );
+
+  return repository.pullRequests.nodes[0] || null;
+};
+
+export const createPullRequest = async (repositoryId, headBranch, baseBranch, title, graphqlClient) => {
+  const { createPullRequest: result } = await graphqlClient(
+    `
+    mutation ($input: CreatePullRequestInput!) {
+      createPullRequest(input: $input) {
+        pullRequest {
+          url
+        }
+      }
+    }
+  `,
+    {
+      input: {
+        repositoryId,
+        headRefName: headBranch,
+        baseRefName: baseBranch,
+        title,
+        body: 'Updates the organization README badges.'
+      }
+    }
+  );
+
+  return result.pullRequest;
+};
+
+/**
+ * Commits files through the GraphQL API so the commit is signed and attributed to the token's identity.
+ * Files that already have the same content are skipped, and nothing is committed if no file changed.
+ * An existing pull request branch is only built on while its pull request is open; otherwise it is
+ * left over from a merged or closed pull request and is reset to the base branch.
+ * @param {{path: string, content: string}[]} files - The files to commit, with paths relative to the repository root
+ * @param {{repository: string, branch?: string, message: string, pullRequest?: boolean, pullRequestBranch?: string}} options - Commit options
+ * @param {function} graphqlClient - GraphQL client for API calls
+ * @returns {Promise<{commitSha: string|null, pullRequestUrl: string|null}>} The new commit and pull request, if any
+ */
+export const commitFiles = async (files, options, graphqlClient) => {
+  const { owner, name } = parseRepository(options.repository);
+  const { id: repositoryId, defaultBranch } = await getRepositoryInfo(owner, name, graphqlClient);
+  const baseBranch = options.branch || defaultBranch;
+
+  const baseOid = await getBranchHead(owner, name, baseBranch, graphqlClient);
+  if (!baseOid) {
+    throw new Error(`Branch '${baseBranch}' not found in ${options.repository}`);
+  }
+
+  let changedFiles = await getChangedFiles(owner, name, baseOid, files, graphqlClient);
+  if (changedFiles.length === 0) {
+    core.info(`No changes to commit on ${options.repository}@${baseBranch}`);
+    return { commitSha: null, pullRequestUrl: null };
+  }
+
+  let targetBranch = baseBranch;
+  let headOid = baseOid;
+  let existing = null;
+  if (options.pullRequest) {
+    targetBranch = options.pullRequestBranch;
+    const ref = await getBranchRef(owner, name, targetBranch, graphqlClient);
+    existing = ref ? await getOpenPullRequest(owner, name, targetBranch, baseBranch, graphqlClient) : null;
+    if (existing) {
+      headOid = ref.oid;
+      changedFiles = await getChangedFiles(owner, name, headOid, files, graphqlClient);
+    } else if (ref) {
+      core.info(`Resetting branch ${targetBranch} to ${baseBranch} since it has no open pull request`);
+      await resetBranch(ref.id, baseOid, graphqlClient);
+    } else {
+      core.info(`Creating branch ${targetBranch} from ${baseBranch}`);
+      await createBranch(repositoryId, targetBranch, baseOid, graphqlClient);
+    }
+  }
+
+  let commitSha = null;
+  if (changedFiles.length > 0) {
+    const commit = await createCommitOnBranch(
+      options.repository,
+      targetBranch,
+      headOid,
+      options.message,
+      changedFiles,
+      graphqlClient
+    );
+    commitSha = commit.oid;
+    core.info(`Committed ${changedFiles.map(file => file.path).join(', ')} to ${targetBranch}: ${commit.url}`);
+  } else {
+    core.info(`Branch ${targetBranch} is already up to date`);
+  }
+
+  let pullRequestUrl = null;
+  if (options.pullRequest) {
+    if (existing) {
+      pullRequestUrl = existing.url;
+      core.info(`Pull request already open: ${pullRequestUrl}`);
+    } else {
+      ({ url: pullRequestUrl } = await createPullRequest(
+        repositoryId,
+        targetBranch,
+        baseBranch,
+        options.message,
+        graphqlClient
+      ));
+      core.info(`Opened pull request: ${pullRequestUrl}`);
+    }
+  }
+
+  return { commitSha, pullRequestUrl };
+};
+
+/**
+ * Returns the shields.io URL of a static badge
+ * @param {string} text - The label
+ * @param {number|string} number - The message
+ * @param {string} badgeColor - The message color
+ * @param {string} badgeLabelColor - The label color
+ * @param {{style?: string, logo?: string, logoColor?: string}} [badgeOptions] - The badge style and logo
+ * @returns {string} The badge image URL
+ */
+export const getShieldsUrl = (text, number, badgeColor, badgeLabelColor, badgeOptions = {}) => {
+  // Use shields.io for GitHub-compatible badge rendering. Dashes separate the parts of the path
+  // and underscores stand for spaces, so both are doubled to keep them literal
+  const escapeStaticText = value => encodeURIComponent(String(value).replace(/-/g, '--').replace(/_/g, '__'));
+  const encodedLabel = escapeStaticText(text);
+  const encodedMessage = escapeStaticText(number);
+  const encodedColor = encodeURIComponent(badgeColor);
+  const encodedLabelColor = encodeURIComponent(badgeLabelColor);
+
+  let query = `labelColor=${encodedLabelColor}`;
+  // flat is the shields.io default, so it's left out to keep the URLs short
+  if (badgeOptions.style && badgeOptions.style !== DEFAULT_STYLE) {
+    query += `&style=${encodeURIComponent(badgeOptions.style)}`;
+  }
+  if (badgeOptions.logo) {
+    query += `&logo=${encodeURIComponent(badgeOptions.logo)}`;
+  }
+  if (badgeOptions.logoColor) {
+    query += `&logoColor=${encodeURIComponent(badgeOptions.logoColor)}`;
+  }
+
+  return `https://img.shields.io/badge/${encodedLabel}-${encodedMessage}-${encodedColor}?${query}`;
+};
+
+/**
+ * Returns the markdown image of a shields.io badge
+ * @param {string} text - The label
+ * @param {number|string} number - The message, formatted with the `numberFormat` and `locale` of the options
+ * @param {string} badgeColor - The message color
+ * @param {string} badgeLabelColor - The label color
+ * @param {{style?: string, logo?: string, logoColor?: string, locale?: string, numberFormat?: string}} [badgeOptions] - The badge style, logo and number format
+ * @returns {string} The markdown image
+ */
+export const generateBadgeMarkdown = (text, number, badgeColor, badgeLabelColor, badgeOptions = {}) => {
+  const message = formatNumber(number, badgeOptions.locale, badgeOptions.numberFormat);
+  const badgeUrl = getShieldsUrl(text, message, badgeColor, badgeLabelColor, badgeOptions);
+  const markdownImage = `![${text}](${badgeUrl})`;
+  return markdownImage;
+};
+
+// Verdana advance widths (1/1000 em) for the printable ASCII characters, starting at the space character
+const VERDANA_WIDTHS = [
+  352, 394, 459, 818, 636, 1076, 727, 269, 454, 454, 636, 818, 364, 454, 364, 454, 636, 636, 636, 636, 636, 636, 636,
+  636, 636, 636, 454, 454, 818, 818, 818, 545, 1000, 684, 686, 698, 771, 632, 575, 775, 751, 421, 455, 693, 557, 843,
+  748, 787, 603, 787, 695, 684, 616, 732, 684, 989, 685, 615, 685, 454, 454, 454, 818, 636, 636, 601, 623, 521, 623,
+  596, 352, 623, 633, 274, 344, 592, 274, 973, 633, 607, 623, 623, 427, 521, 394, 633, 592, 818, 592, 592, 525, 635,
+  454, 635, 818
+];
+const BADGE_FONT_SIZE = 11;
+const BADGE_PADDING = 10;
+
+// Named colors supported by shields.io, so local badges look the same
+const NAMED_COLORS = {
+  brightgreen: '#4c1',
+  green: '#97ca00',
+  yellowgreen: '#a4a61d',
+  yellow: '#dfb317',
+  orange: '#fe7d37',
+  red: '#e05d44',
+  blue: '#007ec6',
+  grey: '#555',
+  gray: '#555',
+  lightgrey: '#9f9f9f',
+  lightgray: '#9f9f9f',
+  success: '#4c1',
+  important: '#fe7d37',
+  critical: '#e05d44',
+  informational: '#007ec6',
+  inactive: '#9f9f9f'
+};
+
+/**
+ * Measures the rendered width of a string in the badge font
+ * @param {string} text - The text to measure
+ * @returns {number} The width in pixels
+ */
+export function measureText(text) {
+  let width = 0;
+  for (const char of String(text)) {
+    const code = char.codePointAt(0);
+    let advance = VERDANA_WIDTHS[code - 32];
+    if (advance === undefined) {
+      // Wide (CJK) glyphs take a full em, anything else is treated like a digit
+      advance = code >= 0x2e80 ? 1000 : 636;
+    }
+    width += (advance * BADGE_FONT_SIZE) / 1000;
+  }
+  return width;
+}
+
+/**
+ * Converts a shields.io style color (named, hex without `#`, or CSS) into an SVG fill value
+ * @param {string} color - The color to convert
+ * @returns {string} The SVG fill value
+ */
+export function toSvgColor(color) {
+  const value = String(color).trim();
+  const named = NAMED_COLORS[value.toLowerCase()];
+  if (named) {
+    return named;
+  }
+  if (/^[0-9a-f]{3}([0-9a-f]{3})?([0-9a-f]{2})?$/i.test(value)) {
+    return `#${value}`;
+  }
+  return value;
+}
+
+const escapeXml = text =>
+  String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+/**
+ * Renders a badge as a shields.io endpoint JSON file, which shields.io turns into a badge when the
+ * file is served from a public URL
+ * @param {string} text - The badge label (left side)
+ * @param {string|number} number - The badge message (right side)
+ * @param {string} badgeColor - The message color
+ * @param {string} badgeLabelColor - The label color
+ * @param {{style?: string, logo?: string, logoColor?: string}} [badgeOptions] - The badge style and logo
+ * @returns {string} The endpoint JSON
+ */
+export const renderEndpointBadge = (text, number, badgeColor, badgeLabelColor, badgeOptions = {}) =>
+  `${JSON.stringify(
+    {
+      schemaVersion: 1,
+      label: text,
+      message: String(number),
+      color: badgeColor,
+      labelColor: badgeLabelColor,
+      ...(badgeOptions.style && badgeOptions.style !== DEFAULT_STYLE && { style: badgeOptions.style }),
+      ...(badgeOptions.logo && { namedLogo: badgeOptions.logo }),
+      ...(badgeOptions.logoColor && { logoColor: badgeOptions.logoColor })
+    },
+    null,
+    2
+  )}\n`;
+
+/**
+ * Returns the shields.io URL of a badge rendered from an endpoint JSON file
+ * @param {string} endpointUrl - The public URL of the endpoint JSON file
+ * @returns {string} The badge image URL
+ */
+export const getEndpointBadgeUrl = endpointUrl =>
+  `https://img.shields.io/endpoint?url=${encodeURIComponent(endpointUrl)}`;
+
+/**
+ * Renders a flat-style badge as an SVG image, without calling shields.io
+ * @param {string} text - The badge label (left side)
+ * @param {string|number} number - The badge message (right side)
+ * @param {string} badgeColor - The message color
+ * @param {string} badgeLabelColor - The label color
+ * @returns {string} The SVG markup
+ */
+export const renderSvgBadge = (text, number, badgeColor, badgeLabelColor) => {
+  const label = String(text);
+  const message = String(number);
+  const labelWidth = Math.round(measureText(label) + BADGE_PADDING);
+  const messageWidth = Math.round(measureText(message) + BADGE_PADDING);
+  const width = labelWidth + messageWidth;
+  const title = escapeXml(`${label}: ${message}`);
+
+  // Text is drawn at 10x scale so that positions and lengths keep one decimal of precision
+  const textElements = (value, x, textWidth) => {
+    const escaped = escapeXml(value);
+    const length = Math.round((textWidth - BADGE_PADDING) * 10);
+    return [
+      `<text aria-hidden="true" x="${x * 10}" y="150" fill="#010101" fill-opacity=".3" transform="scale(.1)" textLength="${length}">${escaped}</text>`,
+      `<text x="${x * 10}" y="140" transform="scale(.1)" fill="#fff" textLength="${length}">${escaped}</text>`
+    ].join('');
+  };
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="20" role="img" aria-label="${title}">`,
+    `<title>${title}</title>`,
+    '<linearGradient id="s" x2="0" y2="100%"><stop offset="0" stop-color="#bbb" stop-opacity=".1"/><stop offset="1" stop-opacity=".1"/></linearGradient>',
+    `<clipPath id="r"><rect width="${width}" height="20" rx="3" fill="#fff"/></clipPath>`,
+    '<g clip-path="url(#r)">',
+    `<rect width="${labelWidth}" height="20" fill="${escapeXml(toSvgColor(badgeLabelColor))}"/>`,
+    `<rect x="${labelWidth}" width="${messageWidth}" height="20" fill="${escapeXml(toSvgColor(badgeColor))}"/>`,
+    `<rect width="${width}" height="20" fill="url(#s)"/>`,
+    '</g>',
+    '<g fill="#fff" text-anchor="middle" font-family="Verdana,Geneva,DejaVu Sans,sans-serif" text-rendering="geometricPrecision" font-size="110">',
+    textElements(label, labelWidth / 2, labelWidth),
+    textElements(message, labelWidth + messageWidth / 2, messageWidth),
+    '</g>',
+    '</svg>',
+    ''
+  ].join('\n');
+};
+
+/**
+ * Converts a badge label into a file name friendly slug
+ * @param {string} text - The text to convert
+ * @returns {string} The slug
+ */
+export function slugify(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Formats a badge image in one of the supported output formats, wrapped in a link when it has one
+ * @param {{label: string, value: number|string, color: string, url: string, link?: string}} badge - The badge and its image URL
+ * @param {string} [format] - markdown, html, rst, asciidoc or json
+ * @returns {string} The formatted badge
+ */
+export function formatBadge(badge, format = DEFAULT_FORMAT) {
+  switch (format) {
+    case 'html': {
+      const image = `<img src="${escapeXml(badge.url)}" alt="${escapeXml(badge.label)}">`;
+      return badge.link ? `<a href="${escapeXml(badge.link)}">${image}</a>` : image;
+    }
+    case 'rst':
+      return `.. image:: ${badge.url}\n   :alt: ${badge.label}${badge.link ? `\n   :target: ${badge.link}` : ''}`;
+    case 'asciidoc': {
+      const label = `"${badge.label.replace(/"/g, '\\"')}"`;
+      return `image:${badge.url}[${badge.link ? `${label},link="${badge.link}"` : label}]`;
+    }
+    case 'json':
+      return JSON.stringify(badge);
+    default: {
+      const image = `![${badge.label}](${badge.url})`;
+      return badge.link ? `[${image}](${badge.link})` : image;
+    }
+  }
+}
+
+/**
+ * Joins formatted badges into the content of the badges output, starting a new row for the badges of each organization
+ * @param {{label: string, value: number|string, color: string, url: string, link?: string, organization?: string}[]} images - The badges and their image URLs
+ * @param {string} [format] - markdown, html, rst, asciidoc or json
+ * @returns {string} The badges, as a JSON array for the json format
+ */
+const joinBadges = (images, format = DEFAULT_FORMAT) => {
+  if (format === 'json') {
+    return JSON.stringify(images, null, 2);
+  }
+  // The badges of each organization start a new row
+  const rows = [];
+  for (const image of images) {
+    const row = rows.at(-1);
+    if (row && row.organization === image.organization) {
+      row.badges.push(formatBadge(image, format));
+    } else {
+      rows.push({ organization: image.organization, badges: [formatBadge(image, format)] });
+    }
+  }
+  // Image directives are blocks in reStructuredText and need blank lines between them
+  return rows.map(row => row.badges.join(format === 'rst' ? '\n\n' : ' ')).join(format === 'html' ? '<br>\n' : '\n\n');
+};
+
+/**
+ * Renders collected badge data with the configured renderer
+ * @param {{metric?: string, key?: string, label: string, message: string|number, color: string, labelColor: string, link?: string, organization?: string}[]} badgeData - The badges to render
+ * @param {{renderer?: string, svgDirectory?: string, endpointDirectory?: string, endpointUrl?: string, readmePath?: string, format?: string, colorThresholds?: object, locale?: string, numberFormat?: string, style?: string, logo?: string, logoColor?: string}} [options] - Rendering options;
+ * endpoint JSON files are written when `endpointDirectory` is set, and referenced instead of static badges when `endpointUrl` is set,
+ * and numeric badges are colored by the `colorThresholds` of their metric and formatted with `numberFormat` in the `locale`.
+ * The json format keeps the raw values
+ * @returns {{badges: string[], content: string, files: {path: string, content: string}[]}} The formatted badges, all of them joined
+ * for the badges output, and any files to write
+ */
+export function renderBadges(badgeData, options = {}) {
+  const renderer = options.renderer || DEFAULT_RENDERER;
+  const format = options.format || DEFAULT_FORMAT;
+  const badgeOptions = { style: options.style, logo: options.logo, logoColor: options.logoColor };
+  const images = [];
+  const files = [];
+
+  for (const badge of badgeData) {
+    const { metric, key, label, message, color: badgeColor, labelColor, link, organization, trend } = badge;
+    const rules = options.colorThresholds?.[metric];
+    // Badges with a trend keep the color of its direction
+    const color = trend
+      ? badge.trendColor || badgeColor
+      : (rules && typeof message === 'number' && getThresholdColor(rules, message)) || badgeColor;
+    const text = `${formatNumber(message, options.locale, options.numberFormat)}${trend ? ` ${trend}` : ''}`;
+    // Endpoint and SVG files are named after the metric rather than the label, so their URLs stay the
+    // same when a label changes, e.g. for calendar periods, and labels in any script get a distinct name
+    const fileName = key || metric || slugify(label);
+    if (options.endpointDirectory) {
+      files.push({
+        path: path.join(options.endpointDirectory, `${fileName}.json`),
+        content: renderEndpointBadge(label, text, color, labelColor, badgeOptions)
+      });
+    }
+
+    let url;
+    if (renderer === 'svg') {
+      const svgPath = path.join(options.svgDirectory || DEFAULT_SVG_DIRECTORY, `${fileName}.svg`);
+      files.push({ path: svgPath, content: renderSvgBadge(label, text, color, labelColor) });
+
+      // Reference the image relative to the README so it resolves wherever the README is rendered
+      const imagePath = options.readmePath
+        ? path.relative(path.dirname(path.resolve(options.readmePath)), path.resolve(svgPath))
+        : svgPath;
+      url = imagePath.split(path.sep).join('/');
+    } else if (options.endpointUrl) {
+      // The URL doesn't contain the value, so the README stays the same when the value changes
+      url = getEndpointBadgeUrl(`${options.endpointUrl.replace(/\/+$/, '')}/${fileName}.json`);
+    } else {
+      url = getShieldsUrl(label, text, color, labelColor, badgeOptions);
+    }
+    images.push({
+      label,
+      value: message,
+      ...(trend && { trend }),
+      color,
+      url,
+      ...(link && { link }),
+      ...(organization && { organization })
+    });
+  }
+
+  return {
+    badges: images.map(image => formatBadge(image, format)),
+    content: joinBadges(images, format),
+    files
+  };
+}
+
+export const getRepositoryCount = async (org, graphqlClient) => {
+  // repositoryOwner resolves organizations and user accounts alike
+  const { organization: orgData } = await graphqlClient(
+    `
+    query ($organization: String!) {
+      organization: repositoryOwner (login: $organization) {
+        repositories(ownerAffiliations: OWNER) {
+          totalCount
+        }
+      }
+    }
+  `,
+    { organization: org }
+  );
+
+  return orgData.repositories.totalCount;
+};
+
+// The repository fields read by the metrics and repository filters
+const REPOSITORY_FIELDS = `
+              name
+              owner {
+                login
+              }
+              stargazerCount
+              forkCount
+              isArchived
+              isFork
+              isTemplate
+              visibility
+              repositoryTopics(first: 20) {
+                nodes {
+                  topic {
+                    name
+                  }
+                }
+              }
+              languages(first: $languageCount, orderBy: { field: SIZE, direction: DESC }) @include(if: $includeLanguages) {
+                totalSize
+                edges {
+                  size
+                  node {
+                    name
+                    color
+                  }
+                }
+              }`;
+
+/**
+ * Returns whether a login belongs to an organization or a user account
+ * @param {string} login - The login
+ * @param {function} graphqlClient - GraphQL client for API calls
+ * @returns {Promise<string>} User for user accounts, and Organization otherwise
+ */
+export const getOwnerType = async (login, graphqlClient) => {
+  const { repositoryOwner } = await graphqlClient(
+    `
+    query ($login: String!) {
+      repositoryOwner(login: $login) {
+        __typename
+      }
+    }
+  `,
+    { login }
+  );
+
+  return repositoryOwner?.__typename === 'User' ? 'User' : 'Organization';
+};
+
+/**
+ * Returns the repositories of a user account: the repositories it owns and, optionally, the
+ * repositories of others it contributed to
+ * @param {string} login - The user login
+ * @param {function} graphqlClient - GraphQL client for API calls
+ * @param {{languageCount?: number, contributed?: boolean}} [options] - The number of languages to read per repository,
+ * and whether to add the repositories the user contributed to
+ * @returns {Promise<object[]>} The repositories, each once
+ */
+export const getUserRepositories = async (login, graphqlClient, options = {}) => {
+  const languageCount = options.languageCount || 0;
+  const connections = ['repositories(first: 100, after: $after, ownerAffiliations: OWNER)'];
+  if (options.contributed) {
+    connections.push(
+      'repositoriesContributedTo(first: 100, after: $after, includeUserRepositories: false, contributionTypes: [COMMIT, PULL_REQUEST, ISSUE, PULL_REQUEST_REVIEW])'
+    );
+  }
+  const repositories = new Map();
+
+  for (const connection of connections) {
+    let endCursor;
+    let hasNextPage = true;
+
+    while (hasNextPage) {
+      const { user } = await graphqlClient(
+        `
+        query ($login: String!, $after: String, $includeLanguages: Boolean!, $languageCount: Int!) {
+          user (login: $login) {
+            repos: ${connection} {
+              nodes {
+                ${REPOSITORY_FIELDS}
+              }
+              pageInfo {
+                endCursor
+                hasNextPage
+              }
+            }
+          }
+        }
+      `,
+        {
+          login,
+          after: endCursor,
+          includeLanguages: languageCount > 0,
+          languageCount: Math.max(languageCount, 1)
+        }
+      );
+
+      for (const repo of user.repos.nodes) {
+        repositories.set(`${repo.owner.login}/${repo.name}`, repo);
+      }
+
+      hasNextPage = user.repos.pageInfo.hasNextPage;
+      endCursor = user.repos.pageInfo.endCursor;
+    }
+  }
+
+  return [...repositories.values()];
+};
+
+/**
+ * Returns the logins of the organizations in an enterprise
+ * @param {string} enterprise - The enterprise slug
+ * @param {function} graphqlClient - GraphQL client for API calls
+ * @returns {Promise<string[]>} The organization logins
+ */
+export const getEnterpriseOrganizations = async (enterprise, graphqlClient) => {
+  let endCursor;
+  let hasNextPage = true;
+  const organizations = [];
+
+  while (hasNextPage) {
+    const { enterprise: enterpriseData } = await graphqlClient(
+      `
+      query ($enterprise: String!, $after: String) {
+        enterprise (slug: $enterprise) {
+          organizations(first: 100, after: $after) {
+            nodes {
+              login
+            }
+            pageInfo {
+              endCursor
+              hasNextPage
+            }
+          }
+        }
+      }
+    `,
+      { enterprise, after: endCursor }
+    );
+    if (!enterpriseData) {
+      throw new Error(`Enterprise '${enterprise}' was not found or can't be read with the token`);
+    }
+
+    organizations.push(...enterpriseData.organizations.nodes.map(node => node.login));
+
+    hasNextPage = enterpriseData.organizations.pageInfo.hasNextPage;
+    endCursor = enterpriseData.organizations.pageInfo.endCursor;
+  }
+
+  if (organizations.length === 0) {
+    throw new Error(`Enterprise '${enterprise}' has no organizations`);
+  }
+  core.info(`Found ${organizations.length} organizations in enterprise ${enterprise}: ${organizations.join(', ')}`);
+  return organizations;
+};
+
+export const getRepositories = async (org, graphqlClient, options = {}) => {
+  const languageCount = options.languageCount || 0;
+  let endCursor;
+  let hasNextPage = true;
+  const repositories = [];
+
+  while (hasNextPage) {
+    const { organization: orgData } = await graphqlClient(
+      `
+      query ($organization: String!, $after: String, $includeLanguages: Boolean!, $languageCount: Int!) {
+        organization (login: $organization) {
+          repositories(first: 100, after: $after) {
+            nodes {
+              ${REPOSITORY_FIELDS}
+            }
+            pageInfo {
+              endCursor
+              hasNextPage
+            }
+          }
+        }
+      }
+    `,
+      {
+        organization: org,
+        after: endCursor,
+        includeLanguages: languageCount > 0,
+        languageCount: Math.max(languageCount, 1)
+      }
+    );
+
+    repositories.push(...orgData.repositories.nodes);
+
+    hasNextPage = orgData.repositories.pageInfo.hasNextPage;
+    endCursor = orgData.repositories.pageInfo.endCursor;
+  }
+
+  return repositories;
+};
+
+/**
+ * Filters repositories by archive, fork and template status, visibility, topics and name patterns
+ * @param {object[]} repos - Repositories returned by getRepositories
+ * @param {{includeArchived?: boolean, includeForks?: boolean, includeTemplates?: boolean, visibility?: string[], topics?: string[], includeRepositories?: string[], excludeRepositories?: string[]}} [filters] - The filters to apply; repositories are included when a filter is not set
+ * @returns {object[]} The repositories that pass all filters
+ */
+export function filterRepositories(repos, filters = {}) {
+  const visibility = (filters.visibility || []).map(value => value.toUpperCase());
+  const topics = (filters.topics || []).map(topic => topic.toLowerCase());
+  const includeRepositories = filters.includeRepositories || [];
+  const excludeRepositories = filters.excludeRepositories || [];
+
+  return repos.filter(repo => {
+    if (filters.includeArchived === false && repo.isArchived) return false;
+    if (filters.includeForks === false && repo.isFork) return false;
+    if (filters.includeTemplates === false && repo.isTemplate) return false;
+    if (visibility.length > 0 && !visibility.includes(repo.visibility)) return false;
+    if (topics.length > 0) {
+      const repoTopics = (repo.repositoryTopics?.nodes || []).map(node => node.topic.name.toLowerCase());
+      if (!topics.every(topic => repoTopics.includes(topic))) return false;
+    }
+    if (includeRepositories.length > 0 && !matchesAnyPattern(repo.name, includeRepositories)) return false;
+    if (matchesAnyPattern(repo.name, excludeRepositories)) return false;
+    return true;
+  });
+}
+
+/**
+ * Aggregates language sizes across repositories and returns the largest languages. Only the largest languages of
+ * each repository are fetched, so percentages are taken of the total size of every language in the repositories.
+ * @param {{languages?: {totalSize?: number, edges: {size: number, node: {name: string, color: string|null}}[]}}[]} repos - Repositories with their languages
+ * @param {number} limit - The number of languages to return
+ * @returns {{name: string, color: string|null, size: number, percent: number}[]} The top languages, largest first
+ */
+export function aggregateLanguages(repos, limit) {
+  const languages = new Map();
+  let totalSize = 0;
+  for (const repo of repos) {
+    const edges = repo.languages?.edges || [];
+    for (const { size, node } of edges) {
+      const language = languages.get(node.name) || { name: node.name, color: node.color, size: 0 };
+      language.size += size;
+      languages.set(node.name, language);
+    }
+    totalSize += repo.languages?.totalSize ?? edges.reduce((sum, { size }) => sum + size, 0);
+  }
 
-  const client = createGraphqlClient(tkn, gqlUrl);
+  return [...languages.values()]
+    .sort((a, b) => b.size - a.size || a.name.localeCompare(b.name))
+    .slice(0, limit)
+    .map(language => ({ ...language, percent: Math.round((language.size / totalSize) * 100) }));
+}
 
-  return {
-    organization: org,
-    token: tkn,
-    days: numDays,
-    graphqlUrl: gqlUrl,
-    color: badgeColor,
-    labelColor: badgeLabelColor,
-    graphqlClient: client
-  };
+/**
+ * Returns the login of a pull request or issue author. Bot logins are suffixed with `[bot]`
+ * (as shown in the GitHub UI), so that they can be matched with patterns like `*[bot]`.
+ * @param {{login: string, __typename?: string}|null} author - The author returned by the API
+ * @returns {string|null} The author login, or null for deleted accounts
+ */
+export function getAuthorLogin(author) {
+  if (!author) {
+    return null;
+  }
+  return author.__typename === 'Bot' && !author.login.endsWith('[bot]') ? `${author.login}[bot]` : author.login;
 }
 
 /**
- * Main execution function that generates badges and sets outputs
- * @param {object} [config] - Optional configuration object (uses initializeConfig if not provided)
- * @returns {Promise<string[]>} Array of badge markdown strings
+ * Converts windows with ISO date strings to Date ranges, with the filter date as the first window
+ * @param {string} filterDate - ISO date string of the first window, which has no end
+ * @param {{since: string, until?: string|null}[]} [windows] - Additional windows; a missing `until` means now
+ * @returns {{since: Date, until: Date|null}[]} The windows
  */
-export async function run(config) {
-  const cfg = config || initializeConfig();
+const toDateRanges = (filterDate, windows = []) =>
+  [{ since: filterDate }, ...windows].map(({ since, until }) => ({
+    since: new Date(since),
+    until: until ? new Date(until) : null
+  }));
 
-  const badges = await generateBadges(
-    cfg.organization,
-    cfg.token,
-    cfg.days,
-    cfg.graphqlClient,
-    cfg.color,
-    cfg.labelColor,
-    cfg.graphqlUrl
-  );
-  core.info('');
-  const badgesMarkdown = badges.join(' ');
-  core.info(`Badge markdown: ${badgesMarkdown}`);
-  core.setOutput('badges', badgesMarkdown);
+const isInRange = (date, range) => date >= range.since && (!range.until || date < range.until);
 
-  return badges;
-}
+const createPullRequestCounts = () => ({
+  total: 0,
+  merged: 0,
+  automatedTotal: 0,
+  automatedMerged: 0,
+  authors: new Set()
+});
 
-export const generateBadgeMarkdown = (text, number, badgeColor, badgeLabelColor) => {
-  // Use shields.io for GitHub-compatible badge rendering
-  const encodedLabel = encodeURIComponent(text);
-  const encodedMessage = encodeURIComponent(number);
-  const encodedColor = encodeURIComponent(badgeColor);
-  const encodedLabelColor = encodeURIComponent(badgeLabelColor);
+export const getPullRequestsCount = async (org, repo, prFilterDate, graphqlClient, options = {}) => {
+  const excludeAuthors = options.excludeAuthors || [];
+  let endCursor;
+  let hasNextPage = true;
+  // The filter date and each additional window are counted in the same pass over the PRs
+  const ranges = toDateRanges(prFilterDate, options.windows);
+  const counts = ranges.map(createPullRequestCounts);
+  const filterDate = new Date(Math.min(...ranges.map(range => range.since)));
+  let pages = 0;
+  let totalCount = 0;
 
-  const badgeUrl = `https://img.shields.io/badge/${encodedLabel}-${encodedMessage}-${encodedColor}?labelColor=${encodedLabelColor}`;
-  const markdownImage = `![${text}](${badgeUrl})`;
-  return markdownImage;
-};
+  while (hasNextPage) {
+    const { repository } = await graphqlClient(
+      `
+      query ($org: String!, $repo: String!, $after: String) {
+        repository(owner: $org, name: $repo) {
+          pullRequests(first: 100, after: $after, orderBy: { field: UPDATED_AT, direction: DESC }) {
+            totalCount
+            nodes {
+              createdAt
+              mergedAt
+              updatedAt
+              state
+              author {
+                login
+                __typename
+              }
+            }
+            pageInfo {
+              endCursor
+              hasNextPage
+            }
+          }
+        }
+      }
+    `,
+      { org, repo, after: endCursor }
+    );
 
-export const getRepositoryCount = async (org, graphqlClient) => {
-  const { organization: orgData } = await graphqlClient(
-    `
-    query ($organization: String!) {
-      organization (login: $organization) {
-        repositories {
-          totalCount
+    for (const pr of repository.pullRequests.nodes) {
+      const login = getAuthorLogin(pr.author);
+      // PRs by excluded authors (e.g. dependency bots) are counted separately as automated PRs
+      const automated = login !== null && matchesAnyPattern(login, excludeAuthors);
+      const createdAt = new Date(pr.createdAt);
+      const mergedAt = pr.state === 'MERGED' ? new Date(pr.mergedAt) : null;
+
+      for (const [index, range] of ranges.entries()) {
+        const windowCounts = counts[index];
+        if (isInRange(createdAt, range)) {
+          if (automated) {
+            windowCounts.automatedTotal++;
+          } else {
+            windowCounts.total++;
+            if (login) {
+              windowCounts.authors.add(login);
+            }
+          }
+        }
+        if (mergedAt && isInRange(mergedAt, range)) {
+          if (automated) {
+            windowCounts.automatedMerged++;
+          } else {
+            windowCounts.merged++;
+          }
         }
       }
     }
-  `,
-    { organization: org }
-  );
 
-  return orgData.repositories.totalCount;
+    pages++;
+    totalCount = repository.pullRequests.totalCount || 0;
+    hasNextPage = repository.pullRequests.pageInfo.hasNextPage;
+    endCursor = repository.pullRequests.pageInfo.endCursor;
+
+    // Creating or merging a PR updates it, so once PRs were last updated before the filter date,
+    // no later page can contain PRs created or merged inside the window
+    const oldest = repository.pullRequests.nodes.at(-1);
+    if (hasNextPage && oldest?.updatedAt && new Date(oldest.updatedAt) < filterDate) {
+      const skippedPages = Math.max(Math.ceil(totalCount / 100) - pages, 0);
+      core.debug(`Stopped paging PRs for ${org}/${repo} after ${pages} pages, skipped ${skippedPages} pages`);
+      hasNextPage = false;
+    }
+  }
+
+  const [filterDateCounts, ...windowCounts] = counts.map(windowCount => ({
+    ...windowCount,
+    authors: [...windowCount.authors]
+  }));
+  return options.windows ? { ...filterDateCounts, windows: windowCounts } : filterDateCounts;
 };
 
-export const getRepositories = async (org, graphqlClient) => {
+export const getIssuesCount = async (org, repo, issueFilterDate, graphqlClient, options = {}) => {
   let endCursor;
   let hasNextPage = true;
-  const repositories = [];
+  const ranges = toDateRanges(issueFilterDate, options.windows);
+  const counts = ranges.map(() => ({ opened: 0, closed: 0 }));
+  const filterDate = new Date(Math.min(...ranges.map(range => range.since)));
+  let open = 0;
+  let pages = 0;
 
   while (hasNextPage) {
-    const { organization: orgData } = await graphqlClient(
+    const { repository } = await graphqlClient(
       `
-      query ($organization: String!, $after: String) {
-        organization (login: $organization) {
-          repositories(first: 100, after: $after) {
+      query ($org: String!, $repo: String!, $after: String, $firstPage: Boolean!) {
+        repository(owner: $org, name: $repo) {
+          openIssues: issues(states: OPEN) @include(if: $firstPage) {
+            totalCount
+          }
+          issues(first: 100, after: $after, orderBy: { field: UPDATED_AT, direction: DESC }) {
+            totalCount
             nodes {
-              name
+              createdAt
+              closedAt
+              updatedAt
+              state
             }
             pageInfo {
               endCursor
@@ -150,34 +2214,66 @@ export const getRepositories = async (org, graphqlClient) => {
         }
       }
     `,
-      { organization: org, after: endCursor }
+      { org, repo, after: endCursor, firstPage: pages === 0 }
     );
 
-    repositories.push(...orgData.repositories.nodes.map(repo => repo.name));
+    // The open issue count doesn't depend on the page, so it is only read with the first one
+    if (pages === 0) {
+      open = repository.openIssues.totalCount;
+    }
+    const issues = repository.issues.nodes;
+
+    for (const [index, range] of ranges.entries()) {
+      counts[index].opened += issues.filter(issue => isInRange(new Date(issue.createdAt), range)).length;
+      counts[index].closed += issues.filter(
+        issue => issue.state === 'CLOSED' && isInRange(new Date(issue.closedAt), range)
+      ).length;
+    }
 
-    hasNextPage = orgData.repositories.pageInfo.hasNextPage;
-    endCursor = orgData.repositories.pageInfo.endCursor;
+    pages++;
+    hasNextPage = repository.issues.pageInfo.hasNextPage;
+    endCursor = repository.issues.pageInfo.endCursor;
+
+    // Opening or closing an issue updates it, so once issues were last updated before the filter
+    // date, no later page can contain issues opened or closed inside the window
+    const oldest = issues.at(-1);
+    if (hasNextPage && oldest?.updatedAt && new Date(oldest.updatedAt) < filterDate) {
+      const skippedPages = Math.max(Math.ceil((repository.issues.totalCount || 0) / 100) - pages, 0);
+      core.debug(`Stopped paging issues for ${org}/${repo} after ${pages} pages, skipped ${skippedPages} pages`);
+      hasNextPage = false;
+    }
   }
 
-  return repositories;
+  const [{ opened, closed }, ...windowCounts] = counts;
+  const result = {
+    opened,
+    closed,
+    open
+  };
+  return options.windows ? { ...result, windows: windowCounts } : result;
 };
 
-export const getPullRequestsCount = async (org, repo, prFilterDate, graphqlClient) => {
+/**
+ * Returns when each star a repository gained since a date was given, newest first
+ * @param {string} org - The organization name
+ * @param {string} repo - The repository name
+ * @param {string} starFilterDate - ISO date string to return stars given after this date
+ * @param {function} graphqlClient - GraphQL client for API calls
+ * @returns {Promise<string[]>} The starredAt timestamps
+ */
+export const getStarredDates = async (org, repo, starFilterDate, graphqlClient) => {
   let endCursor;
   let hasNextPage = true;
-  let total = 0;
-  let merged = 0;
+  const starredDates = [];
 
   while (hasNextPage) {
     const { repository } = await graphqlClient(
       `
       query ($org: String!, $repo: String!, $after: String) {
         repository(owner: $org, name: $repo) {
-          pullRequests(first: 100, after: $after) {
-            nodes {
-              createdAt
-              mergedAt
-              state
+          stargazers(first: 100, after: $after, orderBy: { field: STARRED_AT, direction: DESC }) {
+            edges {
+              starredAt
             }
             pageInfo {
               endCursor
@@ -190,105 +2286,789 @@ export const getPullRequestsCount = async (org, repo, prFilterDate, graphqlClien
       { org, repo, after: endCursor }
     );
 
-    const pullRequests = repository.pullRequests.nodes;
+    const recentStars = repository.stargazers.edges.filter(
+      edge => new Date(edge.starredAt) >= new Date(starFilterDate)
+    );
+    starredDates.push(...recentStars.map(edge => edge.starredAt));
+
+    // Stars are ordered newest first, so stop at the first page that reaches past the filter date
+    hasNextPage =
+      repository.stargazers.pageInfo.hasNextPage && recentStars.length === repository.stargazers.edges.length;
+    endCursor = repository.stargazers.pageInfo.endCursor;
+  }
 
-    const openPullRequests = pullRequests.filter(pr => new Date(pr.createdAt) >= new Date(prFilterDate));
-    total += openPullRequests.length;
+  return starredDates;
+};
 
-    const mergedPRs = pullRequests.filter(
-      pr => pr.state === 'MERGED' && new Date(pr.mergedAt) >= new Date(prFilterDate)
-    );
-    merged += mergedPRs.length;
+export const getStarsGainedCount = async (org, repo, starFilterDate, graphqlClient) =>
+  (await getStarredDates(org, repo, starFilterDate, graphqlClient)).length;
 
-    hasNextPage = repository.pullRequests.pageInfo.hasNextPage;
-    endCursor = repository.pullRequests.pageInfo.endCursor;
+/**
+ * Runs an async callback for each item, with at most `batchSize` callbacks in flight at a time
+ * @param {Array} items - The items to process
+ * @param {number} batchSize - Number of items to process concurrently per batch
+ * @param {function} callback - Async function called with each item
+ * @returns {Promise<Array>} The callback results, in item order
+ */
+export const processInBatches = async (items, batchSize, callback) => {
+  const results = [];
+
+  for (let i = 0; i < items.length; i += batchSize) {
+    const batch = items.slice(i, i + batchSize);
+
+    // Process each batch concurrently
+    results.push(...(await Promise.all(batch.map(callback))));
+  }
+
+  return results;
+};
+
+/**
+ * Sums per-repository pull request counts and collects the unique authors
+ * @param {{total: number, merged: number, automatedTotal: number, automatedMerged: number, authors: string[]}[]} results - The counts of each repository
+ * @returns {{totalOpenPRs: number, totalMergedPRs: number, totalAutomatedOpenPRs: number, totalAutomatedMergedPRs: number, contributors: string[]}} The aggregated counts
+ */
+const aggregatePullRequestCounts = results => {
+  let totalOpenPRs = 0;
+  let totalMergedPRs = 0;
+  let totalAutomatedOpenPRs = 0;
+  let totalAutomatedMergedPRs = 0;
+  const contributors = new Set();
+
+  for (const { total, merged, automatedTotal, automatedMerged, authors } of results) {
+    totalOpenPRs += total;
+    totalMergedPRs += merged;
+    totalAutomatedOpenPRs += automatedTotal;
+    totalAutomatedMergedPRs += automatedMerged;
+    for (const author of authors) {
+      contributors.add(author);
+    }
   }
 
   return {
-    total,
-    merged
+    totalOpenPRs,
+    totalMergedPRs,
+    totalAutomatedOpenPRs,
+    totalAutomatedMergedPRs,
+    contributors: [...contributors].sort()
   };
 };
 
+/**
+ * Combines the pull request counts of several organizations, counting each contributor once
+ * @param {{totalOpenPRs: number, totalMergedPRs: number, totalAutomatedOpenPRs: number, totalAutomatedMergedPRs: number, contributors: string[]}[]} statsList - The counts of each organization
+ * @returns {{totalOpenPRs: number, totalMergedPRs: number, totalAutomatedOpenPRs: number, totalAutomatedMergedPRs: number, contributors: string[]}} The combined counts
+ */
+const mergePullRequestStats = statsList =>
+  aggregatePullRequestCounts(
+    statsList.map(stats => ({
+      total: stats.totalOpenPRs,
+      merged: stats.totalMergedPRs,
+      automatedTotal: stats.totalAutomatedOpenPRs,
+      automatedMerged: stats.totalAutomatedMergedPRs,
+      authors: stats.contributors
+    }))
+  );
+
 /**
  * Processes pull request counts for multiple repositories in batches with limited concurrency
  * @param {string} org - The organization name
- * @param {string[]} repos - Array of repository names to process
+ * @param {(string|{owner: string, name: string})[]} repos - Array of repository names to process, or repositories of other owners
  * @param {string} prFilterDate - ISO date string to filter PRs created after this date
  * @param {function} client - GraphQL client for API calls
  * @param {number} [batchSize=10] - Number of repositories to process concurrently per batch
- * @returns {Promise<{totalOpenPRs: number, totalMergedPRs: number}>} The aggregated PR counts
+ * @param {{excludeAuthors?: string[], windows?: {since: string, until?: string|null}[]}} [options] - Author patterns whose PRs are counted as automated instead,
+ * and additional windows to count in the same scan
+ * @returns {Promise<{totalOpenPRs: number, totalMergedPRs: number, totalAutomatedOpenPRs: number, totalAutomatedMergedPRs: number, contributors: string[], windows?: object[]}>} The aggregated PR counts and the unique authors of the PRs created after the filter date,
+ * with the same counts for each of the additional `windows`
  */
-export const processPullRequestsInBatches = async (org, repos, prFilterDate, client, batchSize = 10) => {
-  let totalOpenPRs = 0;
-  let totalMergedPRs = 0;
+export const processPullRequestsInBatches = async (org, repos, prFilterDate, client, batchSize = 10, options = {}) => {
+  const results = await processInBatches(repos, batchSize, repo =>
+    typeof repo === 'string'
+      ? getPullRequestsCount(org, repo, prFilterDate, client, options)
+      : getPullRequestsCount(repo.owner, repo.name, prFilterDate, client, options)
+  );
+
+  // Aggregate results across repositories
+  const stats = aggregatePullRequestCounts(results);
+  if (options.windows) {
+    stats.windows = options.windows.map((_, index) =>
+      aggregatePullRequestCounts(results.map(result => result.windows[index]))
+    );
+  }
+  return stats;
+};
 
-  // Process repositories in batches
-  for (let i = 0; i < repos.length; i += batchSize) {
-    const batch = repos.slice(i, i + batchSize);
+/**
+ * Processes issue counts for multiple repositories in batches with limited concurrency
+ * @param {string} org - The organization name
+ * @param {(string|{owner: string, name: string})[]} repos - Array of repository names to process, or repositories of other owners
+ * @param {string} issueFilterDate - ISO date string to filter issues opened or closed after this date
+ * @param {function} client - GraphQL client for API calls
+ * @param {number} [batchSize=10] - Number of repositories to process concurrently per batch
+ * @param {{windows?: {since: string, until?: string|null}[]}} [options] - Additional windows to count in the same scan
+ * @returns {Promise<{totalOpenedIssues: number, totalClosedIssues: number, totalOpenIssues: number, windows?: object[]}>} The aggregated issue counts,
+ * with the opened and closed counts for each of the additional `windows`
+ */
+export const processIssuesInBatches = async (org, repos, issueFilterDate, client, batchSize = 10, options = {}) => {
+  let totalOpenedIssues = 0;
+  let totalClosedIssues = 0;
+  let totalOpenIssues = 0;
 
-    // Process each batch concurrently
-    const results = await Promise.all(batch.map(repo => getPullRequestsCount(org, repo, prFilterDate, client)));
+  const results = await processInBatches(repos, batchSize, repo =>
+    typeof repo === 'string'
+      ? getIssuesCount(org, repo, issueFilterDate, client, options)
+      : getIssuesCount(repo.owner, repo.name, issueFilterDate, client, options)
+  );
 
-    // Aggregate results from the batch
-    for (const { total, merged } of results) {
-      totalOpenPRs += total;
-      totalMergedPRs += merged;
+  // Aggregate results across repositories
+  for (const { opened, closed, open } of results) {
+    totalOpenedIssues += opened;
+    totalClosedIssues += closed;
+    totalOpenIssues += open;
+  }
+
+  const stats = {
+    totalOpenedIssues,
+    totalClosedIssues,
+    totalOpenIssues
+  };
+  if (options.windows) {
+    stats.windows = options.windows.map((_, index) => ({
+      totalOpenedIssues: results.reduce((sum, result) => sum + result.windows[index].opened, 0),
+      totalClosedIssues: results.reduce((sum, result) => sum + result.windows[index].closed, 0)
+    }));
+  }
+  return stats;
+};
+
+/**
+ * Returns the number of issues and pull requests matching a search query
+ * @param {string} query - The search query
+ * @param {function} graphqlClient - GraphQL client for API calls
+ * @returns {Promise<number>} The number of matching issues and pull requests
+ */
+export const getSearchCount = async (query, graphqlClient) => {
+  const { search } = await graphqlClient(
+    `
+    query ($query: String!) {
+      search(query: $query, type: ISSUE, first: 1) {
+        issueCount
+      }
     }
+  `,
+    { query }
+  );
+
+  return search.issueCount;
+};
+
+const toSearchDate = time => new Date(time).toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+/**
+ * Counts search results with a date qualifier in a range, splitting the range in half while a query
+ * matches more results than the search API returns
+ * @param {string} query - The search query without the date qualifier
+ * @param {string} qualifier - The date qualifier to restrict, such as 'created' or 'merged'
+ * @param {Date|string} since - The start of the range
+ * @param {Date|string} until - The end of the range
+ * @param {function} graphqlClient - GraphQL client for API calls
+ * @returns {Promise<number>} The number of matching issues and pull requests in the range
+ */
+export const countSearchResults = async (query, qualifier, since, until, graphqlClient) => {
+  // Search qualifiers have second precision and both ends of a range are inclusive
+  const start = Math.floor(new Date(since).getTime() / 1000) * 1000;
+  const end = Math.floor(new Date(until).getTime() / 1000) * 1000;
+  const count = await getSearchCount(
+    `${query} ${qualifier}:${toSearchDate(start)}..${toSearchDate(end)}`,
+    graphqlClient
+  );
+  if (count <= SEARCH_RESULT_LIMIT || end - start < MIN_SEARCH_RANGE_MS) {
+    return count;
   }
 
-  return {
-    totalOpenPRs,
-    totalMergedPRs
+  const middle = start + Math.floor((end - start) / 2000) * 1000;
+  core.debug(`Splitting search '${query}' at ${toSearchDate(middle)}: ${count} results exceed the search limit`);
+  const before = await countSearchResults(query, qualifier, start, middle, graphqlClient);
+  const after = await countSearchResults(query, qualifier, middle + 1000, end, graphqlClient);
+  return before + after;
+};
+
+/**
+ * Counts the pull requests created and merged in an organization since a date using the search API.
+ * Several organizations are searched one at a time and added up, since search queries are limited to 256 characters.
+ * @param {string|string[]} org - The organization name, or several organizations to count together
+ * @param {string} prFilterDate - ISO date string to count PRs created or merged after this date
+ * @param {function} graphqlClient - GraphQL client for API calls
+ * @param {{includeArchived?: boolean, until?: string|null, users?: string[]}} [options] - Whether to count PRs in archived repositories,
+ * the exclusive end of the window (defaults to now), and the logins that are user accounts rather than organizations
+ * @returns {Promise<{totalOpenPRs: number, totalMergedPRs: number}>} The PR counts
+ */
+export const getPullRequestSearchCounts = async (org, prFilterDate, graphqlClient, options = {}) => {
+  // Search ranges include their end, so stop a second before an explicit end of the window
+  const until = options.until ? new Date(new Date(options.until).getTime() - 1000) : new Date();
+  const counts = { totalOpenPRs: 0, totalMergedPRs: 0 };
+
+  for (const name of [].concat(org)) {
+    const qualifier = options.users?.includes(name) ? 'user' : 'org';
+    const query = `${qualifier}:${name} is:pr${options.includeArchived === false ? ' archived:false' : ''}`;
+    counts.totalOpenPRs += await countSearchResults(query, 'created', prFilterDate, until, graphqlClient);
+    counts.totalMergedPRs += await countSearchResults(
+      `${query} is:merged`,
+      'merged',
+      prFilterDate,
+      until,
+      graphqlClient
+    );
+  }
+
+  return counts;
+};
+
+/**
+ * Returns why pull requests cannot be counted with the search API for the given options, if at all
+ * @param {{metrics?: string[], excludeAuthors?: string[], repositoryFilters?: object}} options - Metric options
+ * @returns {string|null} The reason the per-repository scan is needed, or null when search can be used
+ */
+export function getSearchFallbackReason(options) {
+  const scanMetrics = (options.metrics || []).filter(metric => PULL_REQUEST_SCAN_METRICS.includes(metric));
+  if (scanMetrics.length > 0) {
+    return `the ${scanMetrics.join(', ')} metrics read individual pull requests`;
+  }
+  if (options.excludeAuthors?.length) {
+    return `'exclude_authors' cannot be applied to search results`;
+  }
+  const filters = options.repositoryFilters || {};
+  if (
+    filters.includeForks === false ||
+    filters.includeTemplates === false ||
+    filters.visibility?.length ||
+    filters.topics?.length ||
+    filters.includeRepositories?.length ||
+    filters.excludeRepositories?.length
+  ) {
+    return 'repository filters other than archived cannot be applied to search results';
+  }
+  return null;
+}
+
+/**
+ * Creates the shared context that metric providers read from. Data is fetched lazily and only once,
+ * so selecting several metrics that need the same data does not repeat the API calls. All windows
+ * are counted from the same scan.
+ * Several organizations are scanned one at a time and combined: counts are summed and contributors
+ * are counted once across organizations. `forOrganization` returns the context of a single one of
+ * them, which reuses the same scans.
+ * A login that is not an organization is scanned as a user account: the repositories it owns and,
+ * with `userRepositories` set to contributed, the repositories of others it contributed to.
+ * @param {string|string[]} org - The organization name, or the names of the organizations to combine
+ * @param {function} client - GraphQL client for API calls
+ * @param {number|string} days - The number of days or the named period for windowed statistics
+ * @param {{metrics?: string[], windows?: (number|string)[], timeZone?: string, excludeContributors?: string[], excludeAuthors?: string[], includeLanguages?: boolean, topLanguages?: number, repositoryFilters?: object, pullRequestStrategy?: string, userRepositories?: string}} [options] - Metric options;
+ * `windows` lists every window as a number of days or a named period and defaults to `days`
+ * @returns {{org: string, organizations: string[], days: number|string, filterDate: string, windows: {key: string, since: string, until: string|null, phrase: string}[], getRepositories: function, getPullRequestStats: function, getPullRequestCounts: function, getIssueStats: function, getContributors: function, getStarsGained: function, getTopLanguages: function, isUser: function, forOrganization: function}} The metric context;
+ * the loaders of windowed statistics take one of its `windows` and default to the first, and `isUser` tells whether a
+ * single login turned out to be a user account
+ */
+export function createMetricContext(org, client, days, options = {}) {
+  const organizations = [].concat(org);
+  const excludeContributors = options.excludeContributors || DEFAULT_EXCLUDED_CONTRIBUTORS;
+  const topLanguages = options.topLanguages || DEFAULT_TOP_LANGUAGES;
+  const now = new Date();
+  const windows = (options.windows || [days]).map(spec => resolveWindow(spec, { now, timeZone: options.timeZone }));
+  const filterDate = windows[0].since;
+  // Scans start at the longest window and count the shorter ones along the way
+  const earliestDate = windows.reduce(
+    (earliest, window) => (window.since < earliest ? window.since : earliest),
+    filterDate
+  );
+
+  const cache = new Map();
+  const memoize = (key, loader) => () => {
+    if (!cache.has(key)) {
+      cache.set(key, loader());
+    }
+    return cache.get(key);
+  };
+  const indexOfWindow = window => windows.findIndex(({ key }) => key === window.key);
+
+  // Owner types are only looked up when an organization query fails, and recorded when one succeeds
+  const ownerTypes = new Map();
+  const getOwnerTypeOf = owner =>
+    memoize(`ownerType:${owner}`, async () => {
+      if (!ownerTypes.has(owner)) {
+        ownerTypes.set(owner, await getOwnerType(owner, client));
+      }
+      return ownerTypes.get(owner);
+    })();
+  const getUsers = async owners => {
+    const users = [];
+    for (const owner of owners) {
+      if ((await getOwnerTypeOf(owner)) === 'User') {
+        users.push(owner);
+      }
+    }
+    return users;
+  };
+
+  // Scans are made per organization, so combined and per-organization badges share them
+  const scanRepositories = owner =>
+    memoize(`repositories:${owner}`, async () => {
+      const languageCount = options.includeLanguages ? Math.max(topLanguages, MIN_LANGUAGES_PER_REPOSITORY) : 0;
+      let allRepos;
+      try {
+        allRepos = await getRepositories(owner, client, { languageCount });
+        ownerTypes.set(owner, 'Organization');
+      } catch (error) {
+        if (!error.errors?.some(({ type }) => type === 'NOT_FOUND') || (await getOwnerTypeOf(owner)) !== 'User') {
+          throw error;
+        }
+        const contributed = options.userRepositories === 'contributed';
+        core.info(
+          `${owner} is a user account, counting the repositories it owns${contributed ? ' and contributed to' : ''}`
+        );
+        allRepos = await getUserRepositories(owner, client, { languageCount, contributed });
+      }
+      const repos = filterRepositories(allRepos, options.repositoryFilters);
+      if (repos.length !== allRepos.length) {
+        core.info(
+          `Excluded ${allRepos.length - repos.length} of ${allRepos.length} repositories${organizations.length > 1 ? ` in ${owner}` : ''} by repository filters`
+        );
+      }
+      // Repositories a user contributed to belong to other owners
+      return repos.map(repo => ({ ...repo, owner: repo.owner?.login || owner }));
+    })();
+  const toScanTargets = (owner, repos) =>
+    repos.map(repo => (repo.owner === owner ? repo.name : { owner: repo.owner, name: repo.name }));
+  const scanPullRequests = owner =>
+    memoize(`pullRequests:${owner}`, async () => {
+      const repos = await scanRepositories(owner);
+      core.debug(`Filtering PRs created after ${earliestDate}`);
+
+      const stats = await processPullRequestsInBatches(
+        owner,
+        toScanTargets(owner, repos),
+        earliestDate,
+        client,
+        undefined,
+        { excludeAuthors: options.excludeAuthors, windows }
+      );
+
+      for (const [index, window] of windows.entries()) {
+        const windowStats = stats.windows[index];
+        core.info(`Total pull requests created ${window.phrase} for ${owner}: ${windowStats.totalOpenPRs}`);
+        core.info(`Total merged pull requests ${window.phrase} for ${owner}: ${windowStats.totalMergedPRs}`);
+        if (options.excludeAuthors?.length) {
+          core.info(
+            `Excluded pull requests by ${options.excludeAuthors.join(', ')}: ${windowStats.totalAutomatedOpenPRs} created, ${windowStats.totalAutomatedMergedPRs} merged`
+          );
+        }
+      }
+      return stats.windows;
+    })();
+  const getSearchFallback = memoize('searchFallback', () => {
+    const reason = getSearchFallbackReason(options);
+    if (reason) {
+      core.warning(`Counting pull requests by scanning repositories because ${reason}`);
+    }
+    return reason;
+  });
+  const scanIssues = owner =>
+    memoize(`issues:${owner}`, async () => {
+      const repos = await scanRepositories(owner);
+      core.debug(`Filtering issues opened or closed after ${earliestDate}`);
+
+      const stats = await processIssuesInBatches(owner, toScanTargets(owner, repos), earliestDate, client, undefined, {
+        windows
+      });
+
+      for (const [index, window] of windows.entries()) {
+        core.info(`Total issues opened ${window.phrase} for ${owner}: ${stats.windows[index].totalOpenedIssues}`);
+        core.info(`Total issues closed ${window.phrase} for ${owner}: ${stats.windows[index].totalClosedIssues}`);
+      }
+      core.info(`Total open issues for ${owner}: ${stats.totalOpenIssues}`);
+      return stats;
+    })();
+  const getStarredDatesSince = owner =>
+    memoize(`starredDates:${owner}`, async () => {
+      // Repositories without stars cannot have gained any, so they are not queried
+      const starredRepos = (await scanRepositories(owner)).filter(repo => repo.stargazerCount > 0);
+      const results = await processInBatches(starredRepos, 10, repo =>
+        getStarredDates(repo.owner, repo.name, earliestDate, client)
+      );
+      return results.flat().map(starredAt => new Date(starredAt));
+    })();
+
+  const createView = owners => {
+    const name = owners.join(', ');
+    const viewKey = owners.join(',');
+    const memoizeByWindow =
+      (key, loader) =>
+      (window = windows[0]) =>
+        memoize(`${viewKey}:${key}:${window.key}`, () => loader(window))();
+    // Organizations are scanned one after the other to keep the number of concurrent requests down
+    const loadEach = async loader => {
+      const results = [];
+      for (const owner of owners) {
+        results.push(await loader(owner));
+      }
+      return results;
+    };
+
+    const view = {
+      org: name,
+      organizations: owners,
+      days,
+      filterDate,
+      windows,
+      getRepositories: memoize(`${viewKey}:repositories`, async () => {
+        const repos = (await loadEach(scanRepositories)).flat();
+        core.info(`Total repositories${organizations.length > 1 ? ` for ${name}` : ''}: ${repos.length}`);
+        return repos;
+      }),
+      getPullRequestStats: async (window = windows[0]) =>
+        mergePullRequestStats(
+          (await loadEach(scanPullRequests)).map(ownerWindows => ownerWindows[indexOfWindow(window)])
+        ),
+      getPullRequestCounts: memoizeByWindow('pullRequestCounts', async window => {
+        if (options.pullRequestStrategy === 'search' && !getSearchFallback()) {
+          try {
+            core.debug(`Searching for PRs created or merged after ${window.since}`);
+            const search = users =>
+              getPullRequestSearchCounts(owners, window.since, client, {
+                includeArchived: options.repositoryFilters?.includeArchived,
+                until: window.until,
+                users
+              });
+            let counts;
+            try {
+              counts = await search([]);
+            } catch (error) {
+              // org: qualifiers are rejected for user accounts, which are searched by user: instead
+              const users = error.errors?.length ? await getUsers(owners) : [];
+              if (!users.length) {
+                throw error;
+              }
+              if (options.userRepositories === 'contributed') {
+                throw new Error('repositories contributed to cannot be searched');
+              }
+              counts = await search(users);
+            }
+            core.info(`Total pull requests created ${window.phrase} for ${name}: ${counts.totalOpenPRs}`);
+            core.info(`Total merged pull requests ${window.phrase} for ${name}: ${counts.totalMergedPRs}`);
+            return counts;
+          } catch (error) {
+            core.warning(`Search-based pull request counting failed, scanning repositories instead: ${error.message}`);
+          }
+        }
+        return view.getPullRequestStats(window);
+      }),
+      getIssueStats: async (window = windows[0]) => {
+        const index = indexOfWindow(window);
+        const stats = await loadEach(scanIssues);
+        return {
+          totalOpenedIssues: stats.reduce((sum, ownerStats) => sum + ownerStats.windows[index].totalOpenedIssues, 0),
+          totalClosedIssues: stats.reduce((sum, ownerStats) => sum + ownerStats.windows[index].totalClosedIssues, 0),
+          totalOpenIssues: stats.reduce((sum, ownerStats) => sum + ownerStats.totalOpenIssues, 0)
+        };
+      },
+      getContributors: memoizeByWindow('contributors', async window => {
+        const { contributors } = await view.getPullRequestStats(window);
+        const included = contributors.filter(login => !matchesAnyPattern(login, excludeContributors));
+        core.debug(
+          `Excluded ${contributors.length - included.length} contributors matching ${excludeContributors.join(', ')}`
+        );
+        core.info(`Unique contributors ${window.phrase} for ${name}: ${included.length}`);
+        return included;
+      }),
+      getStarsGained: memoizeByWindow('starsGained', async window => {
+        const [, range] = toDateRanges(earliestDate, [window]);
+        const starredDates = (await loadEach(getStarredDatesSince)).flat();
+        const gained = starredDates.filter(starredAt => isInRange(starredAt, range)).length;
+        core.info(`Stars gained ${window.phrase} for ${name}: ${gained}`);
+        return gained;
+      }),
+      getTopLanguages: memoize(`${viewKey}:languages`, async () => {
+        const languages = aggregateLanguages(await view.getRepositories(), topLanguages);
+        core.info(
+          `Top languages for ${name}: ${languages.map(language => `${language.name} ${language.percent}%`).join(', ')}`
+        );
+        return languages;
+      }),
+      isUser: () => owners.length === 1 && ownerTypes.get(owners[0]) === 'User',
+      forOrganization: owner => createView([owner])
+    };
+    return view;
   };
+
+  return createView(organizations);
+}
+
+const sumRepositoryField = (repos, field) => repos.reduce((sum, repo) => sum + (repo[field] || 0), 0);
+
+/**
+ * Replaces the `{name}` placeholders of a label or link template. Unknown placeholders are left as they are.
+ * @param {string} template - The template
+ * @param {Object<string, string|number>} values - The placeholder values
+ * @returns {string} The expanded template
+ */
+export function expandTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => values[name] ?? placeholder);
+}
+
+/**
+ * Returns the placeholder values available to link templates
+ * @param {string} org - The organization name
+ * @param {string} serverUrl - The URL of the GitHub web UI
+ * @param {{since: string, until: string|null}} [window] - The window of the badge, if it has one
+ * @returns {{server: string, org: string, since?: string, until?: string, range?: string}} The values; `range` is a URL-encoded search date range
+ */
+export function getLinkValues(org, serverUrl, window) {
+  const values = { server: serverUrl, org };
+  if (window) {
+    // Search ranges include their end, so stop a second before an explicit end of the window
+    const until = window.until ? toSearchDate(new Date(window.until).getTime() - 1000) : null;
+    values.since = window.since.slice(0, 10);
+    values.until = (until || toSearchDate(Date.now())).slice(0, 10);
+    values.range = encodeURIComponent(
+      until ? `${toSearchDate(window.since)}..${until}` : `>=${toSearchDate(window.since)}`
+    );
+  }
+  return values;
+}
+
+/**
+ * Registry of the metrics that can be selected with the `metrics` input.
+ * Each provider computes its value from the metric context, and its label comes from the
+ * locale packs (see LOCALES). Windowed providers are called once per window with the window
+ * as second argument. Providers that render several badges implement `badges` instead,
+ * returning the label, message and optional color and key of each badge. The optional `link`
+ * is the template of the default link, used when links are enabled (see expandTemplate).
+ */
+export const METRIC_PROVIDERS = {
+  repositories: {
+    link: '{server}/orgs/{org}/repositories',
+    userLink: '{server}/{org}?tab=repositories',
+    value: async context => (await context.getRepositories()).length
+  },
+  pull_requests_created: {
+    windowed: true,
+    link: '{server}/search?q={qualifier}%3A{org}+is%3Apr+created%3A{range}&type=pullrequests',
+    value: async (context, window) => (await context.getPullRequestCounts(window)).totalOpenPRs
+  },
+  pull_requests_merged: {
+    windowed: true,
+    link: '{server}/search?q={qualifier}%3A{org}+is%3Apr+is%3Amerged+merged%3A{range}&type=pullrequests',
+    value: async (context, window) => (await context.getPullRequestCounts(window)).totalMergedPRs
+  },
+  automated_pull_requests_created: {
+    windowed: true,
+    value: async (context, window) => (await context.getPullRequestStats(window)).totalAutomatedOpenPRs
+  },
+  automated_pull_requests_merged: {
+    windowed: true,
+    value: async (context, window) => (await context.getPullRequestStats(window)).totalAutomatedMergedPRs
+  },
+  contributors: {
+    windowed: true,
+    value: async (context, window) => (await context.getContributors(window)).length
+  },
+  stars: {
+    value: async context => sumRepositoryField(await context.getRepositories(), 'stargazerCount')
+  },
+  forks: {
+    value: async context => sumRepositoryField(await context.getRepositories(), 'forkCount')
+  },
+  stars_gained: {
+    windowed: true,
+    value: async (context, window) => context.getStarsGained(window)
+  },
+  languages: {
+    badges: async context =>
+      (await context.getTopLanguages()).map(language => ({
+        key: `language-${slugify(language.name.replace(/\+/g, 'plus').replace(/#/g, 'sharp'))}`,
+        label: language.name,
+        message: `${language.percent}%`,
+        color: language.color ? language.color.replace(/^#/, '') : null
+      }))
+  },
+  issues_opened: {
+    windowed: true,
+    link: '{server}/search?q={qualifier}%3A{org}+is%3Aissue+created%3A{range}&type=issues',
+    value: async (context, window) => (await context.getIssueStats(window)).totalOpenedIssues
+  },
+  issues_closed: {
+    windowed: true,
+    link: '{server}/search?q={qualifier}%3A{org}+is%3Aissue+is%3Aclosed+closed%3A{range}&type=issues',
+    value: async (context, window) => (await context.getIssueStats(window)).totalClosedIssues
+  },
+  issues_open: {
+    link: '{server}/search?q={qualifier}%3A{org}+is%3Aissue+is%3Aopen&type=issues',
+    value: async context => (await context.getIssueStats()).totalOpenIssues
+  }
 };
 
-export const generateBadges = async (
+/**
+ * Collects the statistics for an organization and returns the data for each badge
+ * @param {string|string[]} org - The organization name, or the names of the organizations to combine
+ * @param {string} tokenParam - The token used to create a client when none is provided
+ * @param {number|string} numDays - The number of days or the named period for windowed statistics
+ * @param {function} graphqlClient - GraphQL client for API calls
+ * @param {string} badgeColor - The message color
+ * @param {string} badgeLabelColor - The label color
+ * @param {string} [graphqlUrl] - The GraphQL URL used to create a client when none is provided
+ * @param {{metrics?: string[], windows?: (number|string)[], timeZone?: string, excludeContributors?: string[], excludeAuthors?: string[], topLanguages?: number, repositoryFilters?: object, pullRequestStrategy?: string, userRepositories?: string, links?: boolean, linkTemplates?: Object<string, string>, metricColors?: Object<string, string>, locale?: string, labels?: Object<string, string>, enterprise?: string, perOrganization?: boolean}} [options] - The metrics to collect, in badge order, and metric options;
+ * `perOrganization` adds the badges of each organization after the combined badges
+ * @returns {Promise<{metric: string, key?: string, window?: string, label: string, message: number|string, color: string, labelColor: string, link?: string, organization?: string}[]>} The badge data
+ */
+export const collectBadges = async (
   org,
   tokenParam,
   numDays,
   graphqlClient,
   badgeColor,
   badgeLabelColor,
-  graphqlUrl = DEFAULT_GRAPHQL_URL
+  graphqlUrl = DEFAULT_GRAPHQL_URL,
+  options = {}
 ) => {
   const msgColor = badgeColor || DEFAULT_COLOR;
   const lblColor = badgeLabelColor || DEFAULT_LABEL_COLOR;
   const daysCount = numDays || DEFAULT_DAYS;
+  const metrics = options.metrics || DEFAULT_METRICS;
+  const serverUrl = getServerUrl(graphqlUrl);
+  const linkTemplates = options.linkTemplates || {};
+  const metricColors = options.metricColors || {};
+  const locale = options.locale || DEFAULT_LOCALE;
+  const labels = { ...LOCALES.en.labels, ...getLocalePack(locale).labels, ...options.labels };
+  const organizations = [].concat(org);
+  // Combined badges of several organizations are named after the enterprise they were resolved from
+  const nameOf = context =>
+    context.organizations.length === 1 ? context.organizations[0] : options.enterprise || context.org;
+  // {days} is only set for windows of a number of days, calendar periods have a {period} only
+  const getLabel = (metric, window, context) =>
+    expandTemplate(labels[metric], {
+      org: nameOf(context),
+      ...(window && { days: window.days ?? '', period: formatPeriod(window, { locale, timeZone: options.timeZone }) })
+    });
+  // Per-metric templates always apply; the default links only when links are enabled, and they
+  // search a single organization or user account
+  const getLink = (metric, provider, window, context) => {
+    const user = context.isUser();
+    const defaultLink = (user && provider.userLink) || provider.link;
+    const template =
+      linkTemplates[metric] || (options.links && context.organizations.length === 1 ? defaultLink : undefined);
+    return template
+      ? expandTemplate(template, {
+          ...getLinkValues(nameOf(context), serverUrl, window),
+          qualifier: user ? 'user' : 'org'
+        })
+      : undefined;
+  };
   let client = graphqlClient;
   if (!client && tokenParam) {
     client = createGraphqlClient(tokenParam, graphqlUrl);
   }
 
   try {
-    // repo count
-    const repos = await getRepositories(org, client);
-    const repoCount = repos.length;
-    core.info(`Total repositories: ${repoCount}`);
-    // pull requests
-    const date = new Date();
-    date.setUTCDate(date.getUTCDate() - daysCount);
-    const prFilterDate = date.toISOString();
-    core.debug(`Filtering PRs created after ${prFilterDate}`);
-
-    const { totalOpenPRs, totalMergedPRs } = await processPullRequestsInBatches(org, repos, prFilterDate, client);
-
-    core.info(`Total pull requests created in last ${daysCount} days for ${org}: ${totalOpenPRs}`);
-    core.info(`Total merged pull requests in last ${daysCount} days for ${org}: ${totalMergedPRs}`);
-
-    const badges = [
-      generateBadgeMarkdown(`Total repositories`, repoCount, msgColor, lblColor),
-      generateBadgeMarkdown(`PRs created in last ${daysCount} days`, totalOpenPRs, msgColor, lblColor),
-      generateBadgeMarkdown(`Merged PRs in last ${daysCount} days`, totalMergedPRs, msgColor, lblColor)
-    ];
-
-    return badges;
+    const context = createMetricContext(org, client, daysCount, {
+      ...options,
+      metrics,
+      includeLanguages: metrics.includes('languages')
+    });
+    // Badges of a single organization of several are keyed and labeled by organization, unless the
+    // label template already names it
+    const collect = async (metricContext, owner) => {
+      const badges = [];
+      const addBadge = badge =>
+        badges.push(
+          owner
+            ? {
+                ...badge,
+                key: `${owner}-${badge.key || badge.metric}`,
+                label: labels[badge.metric]?.includes('{org}') ? badge.label : `${owner}: ${badge.label}`,
+                organization: owner
+              }
+            : badge
+        );
+      for (const metric of metrics) {
+        const provider = METRIC_PROVIDERS[metric];
+        if (!provider) {
+          throw new Error(`Unknown metric '${metric}'`);
+        }
+        // Links are resolved after the values, which tell whether the login is a user account
+        if (provider.badges) {
+          const providerBadges = await provider.badges(metricContext);
+          const link = getLink(metric, provider, undefined, metricContext);
+          for (const { key, label, message, color } of providerBadges) {
+            addBadge({
+              metric,
+              key,
+              label,
+              message,
+              color: metricColors[metric] || color || msgColor,
+              labelColor: lblColor,
+              ...(link && { link })
+            });
+          }
+          continue;
+        }
+        // Windowed metrics render one badge per window. The first window keeps the key of the metric, so
+        // adding or removing windows doesn't change its badge files or break its trend; the others are
+        // keyed by window
+        for (const window of provider.windowed ? metricContext.windows : [undefined]) {
+          const message = await provider.value(metricContext, window);
+          const link = getLink(metric, provider, window, metricContext);
+          addBadge({
+            metric,
+            ...(window &&
+              window !== metricContext.windows[0] && { key: `${metric}-${window.key}`, window: window.key }),
+            label: getLabel(metric, window, metricContext),
+            message,
+            color: metricColors[metric] || msgColor,
+            labelColor: lblColor,
+            ...(link && { link })
+          });
+        }
+      }
+      return badges;
+    };
+
+    const badgeData = await collect(context);
+    if (options.perOrganization && organizations.length > 1) {
+      for (const owner of organizations) {
+        badgeData.push(...(await collect(context.forOrganization(owner), owner)));
+      }
+    }
+    return badgeData;
   } catch (error) {
     core.error(error.stack);
     process.exit(1);
   }
 };
 
+export const generateBadges = async (
+  org,
+  tokenParam,
+  numDays,
+  graphqlClient,
+  badgeColor,
+  badgeLabelColor,
+  graphqlUrl = DEFAULT_GRAPHQL_URL,
+  options = {}
+) => {
+  const badgeData = await collectBadges(
+    org,
+    tokenParam,
+    numDays,
+    graphqlClient,
+    badgeColor,
+    badgeLabelColor,
+    graphqlUrl,
+    options
+  );
+  return renderBadges(badgeData, options).badges;
+};
+
 // Only run when executed directly (not when imported for tests)
 if (process.env.NODE_ENV !== 'test') {
   (async () => {